@@ -3,14 +3,20 @@
  *
  * This module owns no rendering rules and no timing rules — it connects the
  * config form, the timer engine and the views, and holds the little bit of
- * session state that belongs to neither (current meta, last mark).
+ * session state that belongs to neither (current meta, last mark, counted
+ * rounds). It also keeps a snapshot of the run in storage, so a reload can
+ * offer to resume it.
  */
 (function (root) {
   const {
     dom,
     intervals,
     workoutTypes,
+    config: configCore,
     quickPresets,
+    sequenceEdit,
+    cuePoints,
+    storage,
     engine: engineModule,
     presenter,
     configForm,
@@ -18,22 +24,73 @@
     pinnedView,
     presetsView,
     shareView,
+    editorView,
+    notationView,
+    soundView,
     screens,
     scale,
     modal,
     feedback,
   } = root.WT;
   const { els } = dom;
-  const { announce, speak, beep, beepSequence } = feedback;
+  const { announce, showToast, speak, beep, playTone, clap, vibrate } = feedback;
 
-  const engine = new engineModule.TimerEngine();
+  const engine = new engineModule.TimerEngine({
+    clock: engineModule.createVisibilityClock(),
+  });
   const form = configForm.create({ onChange: () => build() });
+  const editor = editorView.create({
+    onSave: (intervalList) => {
+      loadConfig(
+        { type: "sequence", intervals: intervalList },
+        { screen: "screenConfig" },
+      );
+      announce("Sequence saved");
+    },
+    onCancel: () => screens.show("screenConfig"),
+  });
+  const typed = notationView.create({
+    onLoad: (intervalList) => {
+      const ok = loadConfig(
+        { type: "sequence", intervals: intervalList },
+        { screen: "screenTimer" },
+      );
+      if (ok) announce("Typed workout loaded");
+      return ok;
+    },
+  });
+  const sounds = soundView.create();
+
+  const snapshots = storage.createSnapshotStore(window.localStorage);
+  const cueStore = storage.createCueStore(window.localStorage);
+  /** Seconds the -10s / +10s buttons take off or add. */
+  const ADJUST_SECONDS = 10;
+  /** How often a running workout is saved between interval changes. */
+  const SNAPSHOT_EVERY_MS = 5000;
 
   let currentMeta = {};
   let currentConfig = null;
   /** Effective elapsed at the previous mark, for the "+mm:ss" delta. */
   let lastMarkElapsed = null;
   let lastCueSecond = null;
+  /** Seconds into the current interval at the last tick, for cue points. */
+  let lastCueAt = 0;
+  /** The user's cue points per interval type. */
+  let defaultCues = cueStore.get();
+  /** Rounds tapped so far, and the effective elapsed at the last tap. */
+  let completedRounds = 0;
+  let lastRoundElapsed = 0;
+  /** Value the last count-up interval completed at (For Time score). */
+  let finishTime = null;
+  /** Interval "Failed" was pressed in (Death By score). */
+  let failedInterval = null;
+  /**
+   * Round log entries of this run, oldest first, as what they were built
+   * from ({ interval, options }); a resumed run renders them again.
+   */
+  let runLog = [];
+  /** Clock time of this page's last snapshot, null when it has none. */
+  let lastSnapshotAt = null;
 
   // ---------- build ----------
 
@@ -41,10 +98,12 @@
     const cfg = form.collect();
     const built = workoutTypes.build(cfg.type, cfg);
     if (!built) return null;
+    form.renderIssues(configCore.validate(cfg));
     currentConfig = cfg;
     currentMeta = built.meta;
     engine.load(built.sequence);
     timerView.renderReady(engine.sequence, currentMeta, cfg);
+    renderCounter();
     return built;
   }
 
@@ -58,50 +117,215 @@
   function resetRunState() {
     lastMarkElapsed = null;
     lastCueSecond = null;
+    lastCueAt = 0;
+    completedRounds = 0;
+    lastRoundElapsed = 0;
+    finishTime = null;
+    failedInterval = null;
+    runLog = [];
+    renderCounter();
+  }
+
+  function log(interval, options = {}) {
+    if (timerView.logEntry(interval, options)) runLog.push({ interval, options });
+  }
+
+  // ---------- snapshot ----------
+
+  function saveSnapshot() {
+    if (engine.state !== "running" && engine.state !== "paused") return;
+    lastSnapshotAt = engine.clock.now();
+    snapshots.save({
+      engine: engine.serialize(),
+      config: currentConfig,
+      meta: currentMeta,
+      log: runLog,
+      run: { completedRounds, lastRoundElapsed, lastMarkElapsed, finishTime },
+    });
+  }
+
+  function clearSnapshot() {
+    lastSnapshotAt = null;
+    snapshots.clear();
+  }
+
+  /** Offer to pick up a run the last page left behind. */
+  async function offerResume(snapshot) {
+    if (!snapshot) return;
+    const { engine: saved, config: cfg, meta, run } = snapshot;
+    const ok = await modal.confirmDialog({
+      title: "Resume Workout",
+      message: presenter.resumeText(saved.sequence[saved.position], meta),
+      confirmText: "Resume",
+      cancelText: "Discard",
+    });
+    if (!ok || !form.apply(cfg)) {
+      clearSnapshot();
+      return;
+    }
+    build();
+    timerView.clearRunState();
+    resetRunState();
+    currentMeta = meta;
+    completedRounds = run.completedRounds ?? 0;
+    lastRoundElapsed = run.lastRoundElapsed ?? 0;
+    lastMarkElapsed = run.lastMarkElapsed ?? null;
+    finishTime = run.finishTime ?? null;
+    runLog = snapshot.log.slice();
+    if (!engine.restore(saved)) {
+      clearSnapshot();
+      return;
+    }
+    screens.show("screenTimer", { scrollTop: true });
+    saveSnapshot();
+  }
+
+  function renderCounter() {
+    timerView.renderCounter(presenter.counterView(currentMeta, completedRounds));
+  }
+
+  function renderAction() {
+    timerView.renderAction(
+      presenter.actionView(engine.current(), currentMeta, engine.state),
+    );
+  }
+
+  function setControls(state) {
+    timerView.setControls(state);
+    renderAction();
   }
 
   // ---------- engine events ----------
 
+  /** Start tone of the sound profile; breath phases get a gentle tone. */
+  function intervalBeep(interval) {
+    const tone = presenter.intervalTone(interval);
+    if (tone) beep(tone);
+    else playTone(sounds.current().start);
+  }
+
+  function playCue(cue) {
+    if (cue.sound === "clap") clap();
+    else if (cue.sound) beep();
+    if (cue.say) speak(cue.say);
+    if (cue.vibrate) vibrate();
+    if (cue.flash) timerView.flash();
+  }
+
+  /** Edit the default cue points; a bad entry reopens the dialog as typed. */
+  async function editCues(values) {
+    const texts = await modal.fieldsDialog({
+      title: "Cue Points",
+      message:
+        'Cues inside every interval of a type, e.g. "half beep; 10 left say Ten seconds; every 15 vibrate; at 30 clap flash".',
+      fields: cuePoints.CUE_PHASES,
+      values:
+        values ??
+        Object.fromEntries(
+          Object.keys(cuePoints.CUE_PHASES).map((type) => [
+            type,
+            cuePoints.format(defaultCues[type]),
+          ]),
+        ),
+      placeholder: "No cues",
+    });
+    if (!texts) return;
+    const next = {};
+    for (const [type, text] of Object.entries(texts)) {
+      const { cues, error } = cuePoints.parse(text);
+      if (error) {
+        const message = `${cuePoints.CUE_PHASES[type]}: ${error}`;
+        showToast(message, 4000);
+        announce(message);
+        editCues(texts);
+        return;
+      }
+      next[type] = cues;
+    }
+    defaultCues = cueStore.set(next);
+    showToast("Cue points saved");
+  }
+
+  function nextOf(interval) {
+    return engine.sequence[(interval?.index ?? -1) + 1] ?? null;
+  }
+
   function logCompleted(interval, extra = {}) {
     const elapsed =
       intervals.elapsedBefore(engine.sequence, engine.position) +
       intervals.elapsedIn(interval, engine.remaining);
-    timerView.logEntry(interval, {
+    log(interval, {
       elapsed,
       remaining: engine.totalDuration() - elapsed,
       ...extra,
     });
   }
 
-  engine.on("load", () => timerView.setControls("idle"));
+  engine.on("load", () => {
+    setControls("idle");
+    // a new workout replaces the saved run; one left by an earlier page
+    // stays until the resume dialog is answered
+    if (lastSnapshotAt !== null) clearSnapshot();
+  });
+
+  engine.on("restore", (interval) => {
+    // cue points already behind the restored time stay quiet
+    lastCueAt = intervals.elapsedIn(interval, engine.remaining);
+    setControls(engine.state);
+    timerView.restoreLog(runLog);
+    renderCounter();
+    timerView.renderInterval(interval, {
+      sequence: engine.sequence,
+      meta: currentMeta,
+      value: engine.remaining,
+    });
+    timerView.renderTick({
+      interval,
+      value: engine.remaining,
+      sequence: engine.sequence,
+      meta: currentMeta,
+      position: engine.position,
+    });
+    announce(`Workout restored at ${interval.label}. Press start to resume.`);
+  });
 
   engine.on("start", (interval) => {
     resetRunState();
-    timerView.setControls("running");
+    setControls("running");
     timerView.renderInterval(interval, {
       sequence: engine.sequence,
       meta: currentMeta,
       value: engine.remaining,
     });
-    beepSequence();
-    announce(`Start ${interval.label}`);
-    speak(`${interval.label} start`);
+    intervalBeep(interval);
+    const cue = presenter.voiceCue(interval, nextOf(interval));
+    announce(`Start ${cue}`);
+    speak(`${cue} start`);
+    saveSnapshot();
   });
 
   engine.on("interval", (interval) => {
     lastCueSecond = null;
+    lastCueAt = 0;
+    renderAction();
     timerView.renderInterval(interval, {
       sequence: engine.sequence,
       meta: currentMeta,
       value: engine.remaining,
     });
-    beepSequence();
-    announce(interval.label);
-    speak(interval.label);
+    // a jump before Start only picks where to begin; Start announces it
+    if (engine.state === "idle") return;
+    intervalBeep(interval);
+    const cue = presenter.voiceCue(interval, nextOf(interval));
+    announce(cue);
+    speak(cue);
+    saveSnapshot();
   });
 
   engine.on("interval_complete", (interval) => {
-    beep({ freq: 440 });
+    if (intervals.isCountUp(interval)) finishTime = engine.remaining;
+    // the next breath phase has its own tone
+    if (!presenter.isBreathing(interval)) playTone(sounds.current().complete);
     logCompleted(interval);
   });
 
@@ -109,20 +333,52 @@
     logCompleted(interval, { skipped: true });
   });
 
+  engine.on("seek", ({ from, to }) => {
+    if (engine.state === "idle") return;
+    log(to, { jumped: from === to ? "restart" : "jump" });
+  });
+
+  engine.on("adjust", ({ interval, delta }) => {
+    const current = engine.current();
+    timerView.renderSequence(engine.sequence, engine.position);
+    timerView.renderTick({
+      interval: current,
+      value: engine.remaining,
+      sequence: engine.sequence,
+      meta: currentMeta,
+      position: engine.position,
+    });
+    timerView.renderTotal(engine.sequence, currentMeta);
+    announce(presenter.adjustText(interval, delta));
+    saveSnapshot();
+  });
+
   engine.on("pause", (interval) => {
-    timerView.setControls("paused");
+    setControls("paused");
     if (interval) logCompleted(interval, { customMessage: "Paused" });
     announce("Paused");
+    saveSnapshot();
   });
 
   engine.on("resume", () => {
-    timerView.setControls("running");
+    setControls("running");
     announce("Resumed");
+    saveSnapshot();
   });
 
+  engine.on("reset", () => clearSnapshot());
+
   engine.on("finish", () => {
-    timerView.setControls("finished");
-    timerView.renderFinished();
+    clearSnapshot();
+    setControls("finished");
+    const view = presenter.finishedView(currentMeta, {
+      rounds: completedRounds,
+      time: finishTime,
+      failed: failedInterval,
+    });
+    timerView.renderFinished(view);
+    if (view.resultText) log(null, { result: view.resultText });
+    playTone(sounds.current().finish);
     announce("Workout complete");
     speak("Workout complete");
     if (els.autoRestartToggle?.checked) {
@@ -135,6 +391,9 @@
 
   engine.on("tick", ({ remaining, interval, position }) => {
     if (!interval) return;
+    if (engine.clock.now() - (lastSnapshotAt ?? 0) >= SNAPSHOT_EVERY_MS) {
+      saveSnapshot();
+    }
     timerView.renderTick({
       interval,
       value: remaining,
@@ -142,12 +401,16 @@
       meta: currentMeta,
       position,
     });
-    if (intervals.isCountUp(interval)) return;
+    const at = intervals.elapsedIn(interval, remaining);
+    presenter.dueCues(interval, lastCueAt, at, defaultCues).forEach(playCue);
+    lastCueAt = at;
+    if (intervals.isCountUp(interval) || presenter.isBreathing(interval)) return;
     const secondsLeft = Math.ceil(remaining);
-    const freq = presenter.finalCountdownFrequency(secondsLeft);
+    const { countdown } = sounds.current();
+    const freq = presenter.finalCountdownFrequency(secondsLeft, countdown.freqs);
     if (freq !== null && lastCueSecond !== secondsLeft) {
       lastCueSecond = secondsLeft;
-      beep({ freq });
+      playTone({ ...countdown, freqs: [freq] });
     }
   });
 
@@ -170,7 +433,7 @@
     const timeSinceLastMark =
       lastMarkElapsed === null ? null : Math.max(0, elapsed - lastMarkElapsed);
     lastMarkElapsed = elapsed;
-    timerView.logEntry(interval, {
+    log(interval, {
       elapsed,
       remaining: left,
       marked: true,
@@ -178,9 +441,49 @@
     });
   }
 
+  /** AMRAP tap: count one more round and log its split. */
+  function countRound() {
+    const interval = engine.current();
+    if (!interval) return;
+    const { elapsed, left } = intervals.computeEffectiveTime(
+      engine.sequence,
+      engine.position,
+      engine.remaining,
+    );
+    completedRounds += 1;
+    log(interval, {
+      elapsed,
+      remaining: left,
+      completedRound: completedRounds,
+      split: Math.max(0, elapsed - lastRoundElapsed),
+    });
+    lastRoundElapsed = elapsed;
+    renderCounter();
+    announce(`Round ${completedRounds}`);
+  }
+
+  /** Death By: the current minute becomes the score and the workout ends. */
+  function fail() {
+    failedInterval = engine.current();
+    engine.finish();
+  }
+
+  function runAction() {
+    const view = presenter.actionView(
+      engine.current(),
+      currentMeta,
+      engine.state,
+    );
+    if (view.hidden || view.disabled) return;
+    if (view.kind === "round") countRound();
+    else if (view.kind === "done") engine.complete();
+    else if (view.kind === "next") engine.proceed();
+    else if (view.kind === "failed") fail();
+  }
+
   function resetTimer() {
     build();
-    timerView.setControls("idle");
+    setControls("idle");
     timerView.clearRunState();
     resetRunState();
     announce("Reset");
@@ -194,7 +497,31 @@
     els.pauseBtn?.addEventListener("click", toggleRun);
     els.resetBtn?.addEventListener("click", resetTimer);
     els.skipBtn?.addEventListener("click", () => engine.skip());
+    els.previousBtn?.addEventListener("click", () => engine.previous());
+    els.adjustMinusBtn?.addEventListener("click", () =>
+      engine.adjust(-ADJUST_SECONDS),
+    );
+    els.adjustPlusBtn?.addEventListener("click", () =>
+      engine.adjust(ADJUST_SECONDS),
+    );
+    els.extendRestBtn?.addEventListener("click", () => engine.extendRest());
+    // items are re-rendered with every build, so the list delegates clicks
+    els.sequencePreview?.addEventListener("click", (event) => {
+      const item = event.target?.closest?.("[data-index]");
+      if (item) engine.seek(parseInt(item.dataset.index, 10));
+    });
+    // focused items jump with Enter or Space, which then skip the shortcuts
+    els.sequencePreview?.addEventListener("keydown", (event) => {
+      if (event.key !== "Enter" && event.code !== "Space") return;
+      const item = event.target?.closest?.("[data-index]");
+      if (!item) return;
+      event.preventDefault();
+      event.stopPropagation();
+      engine.seek(parseInt(item.dataset.index, 10));
+    });
     els.markBtn?.addEventListener("click", mark);
+    els.cueSettingsBtn?.addEventListener("click", () => editCues());
+    els.actionBtn?.addEventListener("click", runAction);
     els.timerRestartBtn?.addEventListener("click", () => {
       build();
       engine.start();
@@ -213,10 +540,37 @@
         resetTimer();
       } else if (event.key === "s") {
         engine.skip();
+      } else if (event.key === "b") {
+        engine.previous();
+      } else if (event.key === "+" || event.key === "=") {
+        engine.adjust(ADJUST_SECONDS);
+      } else if (event.key === "-") {
+        engine.adjust(-ADJUST_SECONDS);
+      } else if (event.key === "e") {
+        engine.extendRest();
+      } else if (event.key === "n") {
+        engine.proceed();
+      } else if (event.key === "Enter") {
+        if (!isActionEnter(event.target)) return;
+        // keeps the key from reaching anything else as well
+        event.preventDefault();
+        runAction();
       }
     });
   }
 
+  /**
+   * Enter runs the workout action only on the Timer screen while the action
+   * button shows; a focused button, link or other focusable control keeps
+   * Enter for its own click.
+   */
+  function isActionEnter(target) {
+    if (screens.currentId() !== "screenTimer") return false;
+    if (target?.tagName === "BUTTON" || target?.tagName === "A") return false;
+    if (target?.closest?.("button, a, [tabindex]")) return false;
+    return !presenter.actionView(engine.current(), currentMeta, engine.state).hidden;
+  }
+
   // ---------- navigation ----------
 
   function bindNavigation() {
@@ -240,6 +594,13 @@
       });
     });
 
+    els.editSequenceBtn?.addEventListener("click", () => {
+      // start from what the current config builds, whatever its type
+      build();
+      editor.open(sequenceEdit.fromSequence(engine.sequence));
+      screens.show("screenEditor", { scrollTop: true });
+    });
+
     els.goToTimerBtn?.addEventListener("click", () => {
       build();
       screens.show("screenTimer", { scrollTop: true, smooth: false });
@@ -298,6 +659,8 @@
 
   function init() {
     const getCurrentConfig = () => currentConfig ?? form.collect();
+    // read before the first build() replaces it
+    const interrupted = snapshots.get();
 
     modal.init();
     scale.init();
@@ -321,6 +684,9 @@
     share.init();
     pins.init();
     presets.init();
+    editor.init();
+    typed.init();
+    sounds.init();
     bindControls();
     bindKeyboard();
     bindNavigation();
@@ -329,9 +695,11 @@
     form.render();
     build();
     route(share);
+    window.addEventListener("pagehide", saveSnapshot);
+    offerResume(interrupted);
   }
 
-  root.WT.app = { init, build, engine, form };
+  root.WT.app = { init, build, engine, form, editor };
 
   if (document.readyState === "loading") {
     document.addEventListener("DOMContentLoaded", init);
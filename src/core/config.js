@@ -8,14 +8,20 @@
       require("./workout-types.js"),
       require("./fields.js"),
       require("./time.js"),
+      require("./intervals.js"),
     );
   } else {
     root.WT = root.WT || {};
-    root.WT.config = factory(root.WT.workoutTypes, root.WT.fields, root.WT.time);
+    root.WT.config = factory(
+      root.WT.workoutTypes,
+      root.WT.fields,
+      root.WT.time,
+      root.WT.intervals,
+    );
   }
 })(
   typeof globalThis !== "undefined" ? globalThis : this,
-  function (workoutTypes, fields, time) {
+  function (workoutTypes, fields, time, intervals) {
     /**
      * Normalize the incoming values (legacy field mapping, mode fallbacks) and
      * then fill in whatever is still missing from the type defaults.
@@ -28,17 +34,65 @@
       const incoming = { ...config };
       delete incoming.type;
       const normalized = def?.normalize ? def.normalize(incoming) : incoming;
-      return { type, ...workoutTypes.getDefaults(type), ...normalized };
+      const merged = { type, ...workoutTypes.getDefaults(type), ...normalized };
+      Object.keys(merged)
+        .filter((key) => fields.isListKey(key))
+        .forEach((key) => {
+          merged[key] = fields.sanitizeList(key, merged[key]);
+        });
+      // session blocks are whole configs and get the same treatment
+      Object.keys(merged)
+        .filter((key) => fields.isBlocksKey(key))
+        .forEach((key) => {
+          merged[key] = workoutTypes
+            .sanitizeBlocks(merged[key])
+            .map((block) => mergeWithDefaults(block.type, block));
+        });
+      return merged;
     }
 
-    /** Stable identity of a config, used to detect an already pinned workout. */
+    const fingerprintValue = (value) =>
+      Array.isArray(value) ? JSON.stringify(value) : String(value);
+
+    /**
+     * Stable identity of a config, used to detect an already pinned workout.
+     * Values equal to the type's `legacyDefaults` are left out, so a config
+     * saved before such a field existed keeps the same identity. A random
+     * workout's `seed` counts: another draw is another workout.
+     */
     function fingerprint(config) {
+      const legacy = workoutTypes.getType(config.type)?.legacyDefaults ?? {};
       return Object.keys(config)
+        .filter(
+          (key) =>
+            !(
+              key in legacy &&
+              fingerprintValue(legacy[key]) === fingerprintValue(config[key])
+            ),
+        )
         .sort()
-        .map((key) => `${key}:${config[key]}`)
+        .map((key) => `${key}:${fingerprintValue(config[key])}`)
         .join("|");
     }
 
+    /** Problems with a config worth telling the user about ([] when fine). */
+    function validate(config = {}) {
+      const def = workoutTypes.getType(config.type);
+      return def?.validate ? def.validate(config) : [];
+    }
+
+    /** Name of the workout for summaries, e.g. "E2MOM" for a 2 minute EMOM. */
+    function displayName(config = {}) {
+      return workoutTypes.displayName(config);
+    }
+
+    /** One line for a session block: "EMOM • 10:00". */
+    function describeBlock(block = {}) {
+      const built = workoutTypes.build(block.type, block);
+      const total = built ? intervals.totalDuration(built.sequence) : 0;
+      return `${displayName(block)} • ${time.formatTime(total)}`;
+    }
+
     /** Human readable value for one field. */
     function formatFieldValue(key, value) {
       const def = fields.getFieldDef(key);
@@ -46,10 +100,59 @@
         const option = def.options?.find((o) => o.value === value);
         return option ? option.label : String(value);
       }
+      if (def?.kind === "blocks") {
+        return Array.isArray(value) && value.length
+          ? value.map(displayName).join(" → ")
+          : "—";
+      }
+      if (def?.kind === "sequence") {
+        const count = Array.isArray(value) ? value.length : 0;
+        return `${count} interval${count === 1 ? "" : "s"}`;
+      }
+      if (def?.kind === "list") {
+        if (!Array.isArray(value) || !value.length) return "—";
+        return value
+          .map((item) => {
+            if (item === null || item === "") return "—";
+            return def.itemKind === "duration"
+              ? time.formatTime(Number(item) || 0)
+              : String(item);
+          })
+          .join(", ");
+      }
       if (fields.isDurationKey(key)) return time.formatTime(Number(value) || 0);
       return String(value);
     }
 
+    /** Name of slot `index` (0-based) from a text list sharing its slots. */
+    function slotName(config, slots, index) {
+      const namesKey = Object.keys(config).find((key) => {
+        const def = fields.getFieldDef(key);
+        return def?.kind === "list" && def.slots === slots && !def.itemKind;
+      });
+      return (namesKey && config[namesKey]?.[index]) || `Ex ${index + 1}`;
+    }
+
+    /**
+     * One row per slot that overrides the shared value, e.g. "Push-ups Work";
+     * slots left blank use the fallback field and get no row of their own.
+     */
+    function slotDurationRows(key, def, config) {
+      const list = Array.isArray(config[key]) ? config[key] : [];
+      const count = Number(config[def.slots]) || 0;
+      return list.slice(0, count).flatMap((seconds, index) =>
+        typeof seconds === "number"
+          ? [
+              {
+                key: `${key}.${index + 1}`,
+                label: `${slotName(config, def.slots, index)} ${def.itemLabel}`,
+                value: time.formatTime(seconds),
+              },
+            ]
+          : [],
+      );
+    }
+
     /**
      * Rows for the config summary list: [{ key, label, value }].
      * Unknown keys fall back to their raw name so nothing silently disappears.
@@ -57,16 +160,34 @@
     function summaryRows(config = {}) {
       return Object.keys(config)
         .filter((key) => key !== "type")
-        .map((key) => ({
-          key,
-          label: fields.getFieldDef(key)?.label || key,
-          value: formatFieldValue(key, config[key]),
-        }));
+        .flatMap((key) => {
+          const def = fields.getFieldDef(key);
+          if (def?.slots && def.itemKind === "duration") {
+            return slotDurationRows(key, def, config);
+          }
+          if (def?.kind === "blocks" && Array.isArray(config[key])) {
+            return config[key].map((block, index) => ({
+              key: `${key}.${index + 1}`,
+              label: `Block ${index + 1}`,
+              value: describeBlock(block),
+            }));
+          }
+          return [
+            {
+              key,
+              label: def?.label || key,
+              value: formatFieldValue(key, config[key]),
+            },
+          ];
+        });
     }
 
     return {
       mergeWithDefaults,
       fingerprint,
+      validate,
+      displayName,
+      describeBlock,
       formatFieldValue,
       summaryRows,
     };
@@ -0,0 +1,176 @@
+/*
+ * Cue points: sounds, phrases or vibrations at set moments inside an
+ * interval. A cue is one timing plus one or more actions:
+ *
+ *   { at: 30 }        – 30 s into the interval
+ *   { left: 10 }      – 10 s before it ends (count-down intervals)
+ *   { halfway: true } – halfway through (count-down intervals)
+ *   { every: 15 }     – every 15 s
+ *   sound?: 'beep' | 'clap', say?: string, vibrate?: true, flash?: true
+ *
+ * Builders may put `cues` on an interval (see the fight type); the user's
+ * default cues per interval type are stored as { work: [...], rest: [...] }.
+ * Which cues fire on a tick is decided by presenter.dueCues.
+ *
+ * The settings dialog edits cues as short text, one cue per item; items
+ * are separated by ";" or new lines, so a phrase may hold commas:
+ *
+ *   half beep; 10 left say Ten seconds; every 15 vibrate; at 30 clap flash
+ */
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === "object" && module.exports) {
+    module.exports = api;
+  } else {
+    root.WT = root.WT || {};
+    root.WT.cuePoints = api;
+  }
+})(typeof globalThis !== "undefined" ? globalThis : this, function () {
+  /** Interval types that can have default cues, with their dialog labels. */
+  const CUE_PHASES = { work: "Work", rest: "Rest", prep: "Prep", cooldown: "Cool Down" };
+  const SOUNDS = ["beep", "clap"];
+  const MAX_OFFSET = 3600;
+  const MAX_CUES = 10;
+  const MAX_PHRASE_LENGTH = 60;
+
+  const isOffset = (value) =>
+    Number.isInteger(value) && value >= 1 && value <= MAX_OFFSET;
+
+  /** A clean copy of `cue`, or null when it has no timing or no action. */
+  function sanitizeCue(cue) {
+    if (!cue || typeof cue !== "object") return null;
+    let timing = null;
+    if (isOffset(cue.at)) timing = { at: cue.at };
+    else if (isOffset(cue.left)) timing = { left: cue.left };
+    else if (isOffset(cue.every)) timing = { every: cue.every };
+    else if (cue.halfway === true) timing = { halfway: true };
+    if (!timing) return null;
+
+    const actions = {};
+    if (SOUNDS.includes(cue.sound)) actions.sound = cue.sound;
+    const say =
+      typeof cue.say === "string" ? cue.say.trim().slice(0, MAX_PHRASE_LENGTH) : "";
+    if (say) actions.say = say;
+    if (cue.vibrate === true) actions.vibrate = true;
+    if (cue.flash === true) actions.flash = true;
+    if (!Object.keys(actions).length) return null;
+    return { ...timing, ...actions };
+  }
+
+  function sanitizeCues(value) {
+    if (!Array.isArray(value)) return [];
+    return value.map(sanitizeCue).filter(Boolean).slice(0, MAX_CUES);
+  }
+
+  /** Default cues per interval type; types without cues are left out. */
+  function sanitizeDefaults(value) {
+    const defaults = {};
+    if (!value || typeof value !== "object") return defaults;
+    Object.keys(CUE_PHASES).forEach((type) => {
+      const cues = sanitizeCues(value[type]);
+      if (cues.length) defaults[type] = cues;
+    });
+    return defaults;
+  }
+
+  /** "30" or "30s" as whole seconds, otherwise null. */
+  function seconds(word) {
+    const match = /^(\d+)s?$/i.exec(word ?? "");
+    if (!match) return null;
+    const value = parseInt(match[1], 10);
+    return isOffset(value) ? value : null;
+  }
+
+  /** One item such as "10 left say Ten seconds"; throws a message. */
+  function parseCue(item) {
+    const words = item.split(/\s+/);
+    const first = words.shift();
+    const lower = first.toLowerCase();
+    let cue;
+    if (lower === "half" || lower === "halfway") {
+      cue = { halfway: true };
+    } else if (lower === "every" || lower === "at") {
+      const value = seconds(words.shift());
+      if (value === null) {
+        throw new Error(`Expected seconds (1–${MAX_OFFSET}) after "${first}"`);
+      }
+      cue = { [lower]: value };
+    } else if (seconds(first) !== null && words[0]?.toLowerCase() === "left") {
+      words.shift();
+      cue = { left: seconds(first) };
+    } else {
+      throw new Error(
+        `Expected "half", "N left", "every N" or "at N", found "${first}"`,
+      );
+    }
+
+    if (!words.length) throw new Error("Expected beep, clap, say, vibrate or flash");
+    while (words.length) {
+      const word = words.shift();
+      const action = word.toLowerCase();
+      if (SOUNDS.includes(action)) cue.sound = action;
+      else if (action === "vibrate") cue.vibrate = true;
+      else if (action === "flash") cue.flash = true;
+      else if (action === "say") {
+        cue.say = words.splice(0).join(" ");
+        if (!cue.say) throw new Error('Expected a phrase after "say"');
+      } else {
+        throw new Error(
+          `Expected beep, clap, say, vibrate or flash, found "${word}"`,
+        );
+      }
+    }
+    return sanitizeCue(cue);
+  }
+
+  /**
+   * Parse the cue text of one interval type.
+   * Returns { cues, error }; `error` is null or "Cue 2: ...".
+   */
+  function parse(text) {
+    const items = String(text ?? "")
+      .split(/[;\n]/)
+      .map((item) => item.trim())
+      .filter(Boolean);
+    if (items.length > MAX_CUES) {
+      return { cues: [], error: `At most ${MAX_CUES} cues per interval type` };
+    }
+    const cues = [];
+    for (const [index, item] of items.entries()) {
+      try {
+        cues.push(parseCue(item));
+      } catch (error) {
+        return { cues: [], error: `Cue ${index + 1}: ${error.message}` };
+      }
+    }
+    return { cues, error: null };
+  }
+
+  /** The text `parse` reads back into the same cues. */
+  function format(cues) {
+    return sanitizeCues(cues)
+      .map((cue) => {
+        const parts = [];
+        if (cue.halfway) parts.push("half");
+        else if (cue.left) parts.push(`${cue.left} left`);
+        else if (cue.every) parts.push(`every ${cue.every}`);
+        else parts.push(`at ${cue.at}`);
+        if (cue.sound) parts.push(cue.sound);
+        if (cue.vibrate) parts.push("vibrate");
+        if (cue.flash) parts.push("flash");
+        if (cue.say) parts.push(`say ${cue.say}`);
+        return parts.join(" ");
+      })
+      .join("; ");
+  }
+
+  return {
+    CUE_PHASES,
+    MAX_CUES,
+    sanitizeCue,
+    sanitizeCues,
+    sanitizeDefaults,
+    parse,
+    format,
+  };
+});
@@ -1,11 +1,19 @@
 /*
  * TimerEngine: generic sequence runner.
  *
- * Events: load, start, interval, interval_complete, skipped, tick, pause,
- *         resume, reset, finish
+ * Events: load, start, interval, interval_complete, skipped, seek, adjust,
+ *         tick, pause, resume, reset, finish, restore
  *
  * The clock is injected, so the engine is fully testable without a browser:
  *   new TimerEngine({ clock: { now, schedule, cancel } })
+ * `systemClock` runs on animation frames; `createVisibilityClock()` switches
+ * to a Worker timer while the page is hidden, where frames stop.
+ *
+ * Time is never summed frame by frame. The engine keeps a fixed anchor (when
+ * it started, plus the time spent paused) and where the current interval
+ * began on that timeline, and every tick derives the position from them. A
+ * late or throttled frame loses nothing; after a long sleep every interval
+ * that ended meanwhile completes, in order, on the next tick.
  */
 (function (root, factory) {
   if (typeof module === "object" && module.exports) {
@@ -15,7 +23,12 @@
     root.WT.engine = factory(root.WT.intervals);
   }
 })(typeof globalThis !== "undefined" ? globalThis : this, function (intervals) {
+  /** Ticks closer together than this are not emitted (the time still counts). */
   const MIN_TICK_SECONDS = 0.05;
+  /** previous() within this many seconds of an interval's start goes back one. */
+  const PREVIOUS_GRACE_SECONDS = 2;
+  /** What extendRest() adds by default. */
+  const EXTEND_REST_SECONDS = 15;
 
   /** Animation-frame clock when available, timeout based otherwise. */
   const systemClock = {
@@ -34,6 +47,111 @@
     },
   };
 
+  const WORKER_TICK_MS = 250;
+
+  /**
+   * A Worker that posts a message every `ms` between "start" and "stop".
+   * Worker timers keep running in a hidden tab, where page timers are
+   * throttled and animation frames stop. Null when Workers are unavailable.
+   */
+  function createTimerWorker(ms = WORKER_TICK_MS) {
+    if (typeof Worker !== "function" || typeof Blob !== "function") return null;
+    try {
+      const source = `let id = null;
+onmessage = (event) => {
+  clearInterval(id);
+  id = event.data === "start" ? setInterval(() => postMessage(0), ${ms}) : null;
+};`;
+      const url = URL.createObjectURL(new Blob([source], { type: "text/javascript" }));
+      return new Worker(url);
+    } catch (error) {
+      console.warn("Timer worker unavailable", error);
+      return null;
+    }
+  }
+
+  /**
+   * Same contract as systemClock, but a tick waiting while the document is
+   * hidden is run by a Worker timer instead of an animation frame. A waiting
+   * tick moves over on every visibility change, so neither side drops it.
+   * Without a Worker, hidden ticks fall back to a timeout.
+   */
+  function createVisibilityClock({
+    doc = typeof document !== "undefined" ? document : null,
+    frameClock = systemClock,
+    makeWorker = createTimerWorker,
+  } = {}) {
+    let worker;
+    let workerRunning = false;
+    let nextId = 1;
+    /** The one scheduled tick: { id, cb, frame?, timeout? }. */
+    let pending = null;
+
+    const hidden = () => Boolean(doc?.hidden);
+
+    function setWorker(running) {
+      if (!worker || workerRunning === running) return;
+      workerRunning = running;
+      worker.postMessage(running ? "start" : "stop");
+    }
+
+    function run() {
+      const waiting = pending;
+      if (!waiting) return;
+      disarm();
+      pending = null;
+      waiting.cb(frameClock.now());
+      // nothing new was scheduled: let the worker rest
+      if (!pending) setWorker(false);
+    }
+
+    function arm() {
+      if (!hidden()) {
+        setWorker(false);
+        pending.frame = frameClock.schedule(run);
+        return;
+      }
+      if (worker === undefined) {
+        worker = makeWorker();
+        if (worker) worker.onmessage = run;
+      }
+      if (worker) setWorker(true);
+      else pending.timeout = setTimeout(run, WORKER_TICK_MS);
+    }
+
+    function disarm() {
+      if (!pending) return;
+      frameClock.cancel(pending.frame);
+      clearTimeout(pending.timeout);
+      pending.frame = null;
+      pending.timeout = null;
+    }
+
+    doc?.addEventListener?.("visibilitychange", () => {
+      if (!pending) return;
+      disarm();
+      arm();
+    });
+
+    return {
+      now: frameClock.now,
+      schedule(cb) {
+        disarm();
+        pending = { id: nextId++, cb };
+        arm();
+        return pending.id;
+      },
+      cancel(handle) {
+        if (handle == null) return;
+        if (pending?.id === handle) {
+          disarm();
+          pending = null;
+        }
+        if (!pending) setWorker(false);
+      },
+    };
+  }
+
   class TimerEngine {
     constructor({ clock = systemClock } = {}) {
       this.clock = clock;
@@ -44,6 +162,12 @@
       this.remaining = 0;
       this.state = "idle";
       this.startedAt = null;
+      /** Clock time the current pause began at, null unless paused. */
+      this.pausedAt = null;
+      /** Milliseconds spent paused since start. */
+      this.pausedTotal = 0;
+      /** Running milliseconds (see elapsedMs) at which the current interval began. */
+      this.intervalStart = 0;
       this.lastTick = null;
       this._handle = null;
       this._tick = this._tick.bind(this);
@@ -73,8 +197,7 @@
       this.position = 0;
       this.remaining = intervals.initialValue(this.sequence[0]);
       this.state = "idle";
-      this.startedAt = null;
-      this.lastTick = null;
+      this._clearAnchor();
       this.emit("load", { sequence: this.sequence });
     }
 
@@ -82,6 +205,7 @@
       if (!this.sequence.length) return;
       if (this.state === "running") return;
       this.state = "running";
+      this._clearAnchor();
       this.startedAt = this.clock.now();
       this.lastTick = this.startedAt;
       this.emit("start", this.current());
@@ -89,16 +213,23 @@
     }
 
     pause() {
+      if (this.state !== "running") return;
+      const now = this.clock.now();
+      this._sync(now);
       if (this.state !== "running") return;
       this.state = "paused";
+      this.pausedAt = now;
       this._stopClock();
       this.emit("pause", this.current());
     }
 
     resume() {
       if (this.state !== "paused") return;
+      const now = this.clock.now();
       this.state = "running";
-      this.lastTick = this.clock.now();
+      this.pausedTotal += now - this.pausedAt;
+      this.pausedAt = null;
+      this.lastTick = now;
       this.emit("resume", this.current());
       this._scheduleTick();
     }
@@ -109,18 +240,170 @@
       this.position = 0;
       this.remaining = 0;
       this.state = "idle";
-      this.startedAt = null;
-      this.lastTick = null;
+      this._clearAnchor();
       this.emit("reset");
     }
 
     skip() {
       if (this.state === "finished") return;
       if (!this.current()) return;
+      this._stampManual();
       this.emit("skipped", this.current());
+      this.intervalStart = this.elapsedMs();
+      this._advance();
+    }
+
+    /**
+     * Restart the current interval, or go to the one before when the current
+     * one started less than PREVIOUS_GRACE_SECONDS ago (a double tap rewinds).
+     */
+    previous() {
+      if (this.state === "finished" || !this.current()) return;
+      const into = (this.elapsedMs() - this.intervalStart) / 1000;
+      const back = into < PREVIOUS_GRACE_SECONDS && this.position > 0;
+      this.seek(back ? this.position - 1 : this.position);
+    }
+
+    /**
+     * Jump to the interval at `index` and run it from its start. Emits `seek`
+     * ({ from, to }) and then `interval` for the new one, like an advance.
+     */
+    seek(index) {
+      if (this.state === "finished") return;
+      if (!Number.isInteger(index) || index < 0 || index >= this.sequence.length) {
+        return;
+      }
+      const from = this.current();
+      this.position = index;
+      this.intervalStart = this.elapsedMs();
+      this.remaining = intervals.initialValue(this.current());
+      this.emit("seek", { from, to: this.current() });
+      this.emit("interval", this.current());
+    }
+
+    /**
+     * Add `delta` seconds to a count-down interval: the current one, or one
+     * still ahead. The interval's `duration` changes (and `adjusted` keeps
+     * the running total of changes), so totals and logs follow. The current
+     * interval cannot shrink below what has already run; "-10" near its end
+     * simply ends it. Emits `adjust` and returns the change applied.
+     */
+    adjust(delta, index = this.position) {
+      if (this.state === "finished" || !Number.isFinite(delta)) return 0;
+      if (!Number.isInteger(index) || index < this.position) return 0;
+      const interval = this.sequence[index];
+      if (!interval || intervals.isCountUp(interval)) return 0;
+      const into =
+        index === this.position ? (this.elapsedMs() - this.intervalStart) / 1000 : 0;
+      const duration = Math.max(1, into, interval.duration + delta);
+      const applied = duration - interval.duration;
+      if (applied === 0) return 0;
+      this.sequence[index] = {
+        ...interval,
+        duration,
+        adjusted: (interval.adjusted ?? 0) + applied,
+      };
+      if (index === this.position) this.remaining = duration - into;
+      this.emit("adjust", { interval: this.sequence[index], delta: applied });
+      return applied;
+    }
+
+    /** More rest: the current interval when it is a rest, else the next rest. */
+    extendRest(seconds = EXTEND_REST_SECONDS) {
+      const index = this.sequence.findIndex(
+        (item, i) => i >= this.position && item.type === "rest",
+      );
+      return index === -1 ? 0 : this.adjust(seconds, index);
+    }
+
+    /**
+     * End the current interval now, as if its time had run out. This is how
+     * a count-up interval is finished on demand ("Done").
+     */
+    complete() {
+      // catch up first: the interval may have run out since the last tick
+      if (this.state === "running") this._sync(this.clock.now());
+      if (this.state !== "running" && this.state !== "paused") return;
+      if (!this.current()) return;
+      this._stampManual();
+      this.emit("interval_complete", this.current());
+      this.intervalStart = this.elapsedMs();
       this._advance();
     }
 
+    /** True while the run sits on a manual interval, waiting for proceed(). */
+    isWaiting() {
+      return this.state === "running" && intervals.isManual(this.current());
+    }
+
+    /**
+     * "Next" on a manual interval: it completes with the time it took and the
+     * run moves on. Timed intervals ignore it, so a stray tap costs nothing.
+     */
+    proceed() {
+      if (!intervals.isManual(this.current())) return false;
+      if (this.state !== "running" && this.state !== "paused") return false;
+      this.complete();
+      return true;
+    }
+
+    /**
+     * Plain JSON picture of the run, enough for `restore` to pick it up in a
+     * new page: the sequence, where we are in it and how much time has run.
+     */
+    serialize() {
+      const elapsedMs = this.elapsedMs();
+      return {
+        sequence: this.sequence.map(({ index, ...interval }) => interval),
+        position: this.position,
+        remaining: this.remaining,
+        state: this.state,
+        elapsedMs,
+        intervalElapsedMs: elapsedMs - this.intervalStart,
+      };
+    }
+
+    /**
+     * Continue a serialized run. A run that was going comes back paused (the
+     * time the page was gone does not count), so the user resumes it.
+     * Returns false, changing nothing, for a snapshot that does not fit.
+     */
+    restore(snapshot) {
+      const { sequence, position, remaining } = snapshot ?? {};
+      if (!Array.isArray(sequence) || !sequence.length) return false;
+      if (!Number.isInteger(position) || position < 0 || position >= sequence.length) {
+        return false;
+      }
+      if (!Number.isFinite(remaining)) return false;
+      const elapsedMs = Math.max(0, Number(snapshot.elapsedMs) || 0);
+      const intervalElapsedMs = Math.min(
+        elapsedMs,
+        Math.max(0, Number(snapshot.intervalElapsedMs) || 0),
+      );
+      const now = this.clock.now();
+      this._stopClock();
+      this.sequence = sequence.map((item, index) => ({ ...item, index }));
+      this.position = position;
+      this.remaining = remaining;
+      this._clearAnchor();
+      if (snapshot.state === "running" || snapshot.state === "paused") {
+        this.state = "paused";
+        this.startedAt = now - elapsedMs;
+        this.pausedAt = now;
+        this.intervalStart = elapsedMs - intervalElapsedMs;
+      } else {
+        this.state = "idle";
+      }
+      this.emit("restore", this.current());
+      return true;
+    }
+
+    /** End the workout now; whatever is left of the sequence is dropped. */
+    finish() {
+      if (this.state !== "running" && this.state !== "paused") return;
+      this._finish();
+    }
+
     current() {
       return this.sequence[this.position];
     }
@@ -137,6 +420,20 @@
       return this.state === "running";
     }
 
+    /** Milliseconds spent running since start, pauses left out. */
+    elapsedMs(now = this.clock.now()) {
+      if (this.startedAt == null) return 0;
+      return (this.pausedAt ?? now) - this.startedAt - this.pausedTotal;
+    }
+
+    _clearAnchor() {
+      this.startedAt = null;
+      this.pausedAt = null;
+      this.pausedTotal = 0;
+      this.intervalStart = 0;
+      this.lastTick = null;
+    }
+
     _scheduleTick() {
       this._handle = this.clock.schedule(this._tick);
     }
@@ -146,34 +443,72 @@
       this._handle = null;
     }
 
+    _finish() {
+      this.state = "finished";
+      this._stopClock();
+      this.emit("finish");
+    }
+
     _advance() {
       this.position++;
       if (this.position >= this.sequence.length) {
-        this.state = "finished";
-        this._stopClock();
-        this.emit("finish");
+        this._finish();
         return;
       }
       this.remaining = intervals.initialValue(this.current());
       this.emit("interval", this.current());
     }
 
+    /**
+     * A manual interval has no length of its own: record the time it really
+     * ran as `took`, so totals and the log after it are true.
+     */
+    _stampManual() {
+      const current = this.current();
+      if (!intervals.isManual(current)) return;
+      const took = (this.elapsedMs() - this.intervalStart) / 1000;
+      this.sequence[this.position] = { ...current, took };
+    }
+
+    /**
+     * Bring position and value up to `now`. Each interval that has run out
+     * completes in turn, and the next one starts where it ended on the
+     * timeline (not at `now`), so no time is lost between intervals.
+     */
+    _sync(now) {
+      const elapsed = this.elapsedMs(now);
+      while (this.state === "running") {
+        const current = this.current();
+        const countUp = intervals.isCountUp(current);
+        // how long it runs: count-ups end at their cap, or never
+        const length = countUp
+          ? intervals.hasCap(current)
+            ? current.cap
+            : Infinity
+          : intervals.initialValue(current);
+        const into = (elapsed - this.intervalStart) / 1000;
+        if (into < length) {
+          this.remaining = countUp ? into : length - into;
+          return;
+        }
+        this.remaining = countUp ? length : 0;
+        this.intervalStart += length * 1000;
+        this.emit("interval_complete", current);
+        this._advance();
+      }
+    }
+
     _tick(now) {
       if (this.state !== "running") return;
-      const current = this.current();
-      const dt = (now - this.lastTick) / 1000;
+      const position = this.position;
+      this._sync(now);
 
-      if (dt >= MIN_TICK_SECONDS) {
+      if (
+        this.state === "running" &&
+        (this.position !== position ||
+          (now - this.lastTick) / 1000 >= MIN_TICK_SECONDS)
+      ) {
         this.lastTick = now;
-        if (intervals.isCountUp(current)) {
-          this.remaining += dt;
-        } else {
-          this.remaining -= dt;
-          if (this.remaining <= 0) {
-            this.emit("interval_complete", current);
-            this._advance();
-          }
-        }
         this.emit("tick", {
           remaining: Math.max(0, this.remaining),
           interval: this.current(),
@@ -217,5 +552,13 @@
     };
   }
 
-  return { TimerEngine, systemClock, createManualClock, MIN_TICK_SECONDS };
+  return {
+    TimerEngine,
+    systemClock,
+    createVisibilityClock,
+    createManualClock,
+    MIN_TICK_SECONDS,
+    PREVIOUS_GRACE_SECONDS,
+    EXTEND_REST_SECONDS,
+  };
 });
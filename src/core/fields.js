@@ -5,8 +5,18 @@
  *   label     – human label (also used in the config summary)
  *   min/max   – inclusive bounds for numeric fields
  *   duration  – value is a number of seconds and gets the minutes/seconds split UI
- *   kind      – 'number' (default) or 'select'
+ *   kind      – 'number' (default), 'select', 'list', 'sequence' (a list
+ *               of intervals, edited on the sequence editor screen) or
+ *               'blocks' (a list of whole workout configs, for sessions)
  *   options   – for selects: [{ value, label }]
+ *   itemLabel – for lists: what one entry is called ("Exercise")
+ *   maxItems  – for lists: longest allowed list
+ *   maxLength – for lists: longest allowed entry (characters)
+ *   slots     – for lists: number field giving one entry per slot; blank
+ *               entries keep their position instead of being dropped
+ *   itemKind  – for lists: 'text' (default) or 'duration' (seconds, bounded
+ *               by min/max; a blank entry is stored as null)
+ *   fallback  – for slot lists: field whose value a blank slot uses
  *   hint      – optional helper text rendered under the control
  *
  * Adding a field to a workout type means adding it here once and listing its
@@ -23,6 +33,7 @@
 })(typeof globalThis !== "undefined" ? globalThis : this, function () {
   const FIELD_DEFS = {
     rounds: { label: "Rounds", min: 1, max: 200 },
+    period: { label: "Every (s)", min: 10, max: 600, duration: true },
     // legacy single work/rest pair (still used by emom/tabata/hiit)
     work: { label: "Work (s)", min: 1, max: 3600, duration: true },
     rest: { label: "Rest (s)", min: 0, max: 3600, duration: true },
@@ -35,6 +46,57 @@
       max: 1200,
       duration: true,
     },
+    sets: { label: "Sets", min: 1, max: 20 },
+    betweenSets: {
+      label: "Between Sets Rest (s)",
+      min: 0,
+      max: 1200,
+      duration: true,
+    },
+    workMin: { label: "Shortest Work (s)", min: 1, max: 3600, duration: true },
+    workMax: { label: "Longest Work (s)", min: 1, max: 3600, duration: true },
+    restMin: { label: "Shortest Rest (s)", min: 0, max: 3600, duration: true },
+    restMax: { label: "Longest Rest (s)", min: 0, max: 3600, duration: true },
+    seed: {
+      label: "Seed",
+      min: 1,
+      max: 999999,
+      hint: "The same seed builds the same workout, also from a shared link. Change it for a new draw.",
+    },
+    roundLength: {
+      label: "Round Length (s)",
+      min: 10,
+      max: 900,
+      duration: true,
+    },
+    warning: {
+      label: "Warning Before the Bell (s)",
+      min: 0,
+      max: 60,
+      hint: "A clap and a flash this many seconds before each round ends; 0 for none.",
+    },
+    cycles: { label: "Cycles", min: 1, max: 100 },
+    inhale: { label: "Inhale (s)", min: 1, max: 60 },
+    holdIn: {
+      label: "Hold After Inhale (s)",
+      min: 0,
+      max: 60,
+      hint: "0 skips the hold.",
+    },
+    exhale: { label: "Exhale (s)", min: 1, max: 60 },
+    holdOut: {
+      label: "Hold After Exhale (s)",
+      min: 0,
+      max: 60,
+      hint: "0 skips the hold.",
+    },
+    setTarget: {
+      label: "Target per Set (s)",
+      min: 0,
+      max: 3600,
+      duration: true,
+      hint: "Optional; 0 for none. The clock turns amber once a set runs past it.",
+    },
     exercisesPerRound: { label: "Exercises / Round", min: 1, max: 50 },
     exerciseWork: { label: "Exercise Work (s)", min: 1, max: 3600, duration: true },
     exerciseRest: { label: "Exercise Rest (s)", min: 0, max: 3600, duration: true },
@@ -55,6 +117,103 @@
       max: 24 * 3600,
       duration: true,
     },
+    timeCap: { label: "Time Cap (s)", min: 1, max: 24 * 3600, duration: true },
+    softLimit: {
+      label: "Soft Limit (s)",
+      min: 0,
+      max: 24 * 3600,
+      duration: true,
+    },
+    startWork: { label: "Start Work (s)", min: 1, max: 3600, duration: true },
+    peakWork: { label: "Peak Work (s)", min: 1, max: 3600, duration: true },
+    workStep: { label: "Step (s)", min: 1, max: 600, duration: true },
+    mirror: {
+      label: "Mirror",
+      kind: "select",
+      options: [
+        { value: "yes", label: "Up & Back" },
+        { value: "no", label: "One Way" },
+      ],
+      hint: "Up & Back climbs to the peak and returns to the start.",
+    },
+    restMode: {
+      label: "Rest Rule",
+      kind: "select",
+      options: [
+        { value: "fixed", label: "Fixed" },
+        { value: "ratio", label: "Proportional to Work" },
+      ],
+      hint: "Fixed uses Rest (s); proportional uses Rest (% of Work).",
+    },
+    restPercent: { label: "Rest (% of Work)", min: 0, max: 400 },
+    workMode: {
+      label: "Work Ends",
+      kind: "select",
+      options: [
+        { value: "timed", label: "When the Time Is Up" },
+        { value: "manual", label: "When I Press Next" },
+      ],
+      hint: "Manual work counts up until Next (or n); its time is only the plan. Rests stay timed.",
+    },
+    startReps: { label: "Start Reps", min: 1, max: 1000 },
+    repStep: { label: "Reps Added / Minute", min: 1, max: 100 },
+    exercises: {
+      label: "Exercises",
+      kind: "list",
+      itemLabel: "Exercise",
+      maxItems: 20,
+      maxLength: 40,
+      hint: 'One per period, repeated in order. Name one "Rest" for a rest period.',
+    },
+    exerciseNames: {
+      label: "Exercise Names",
+      kind: "list",
+      itemLabel: "Exercise",
+      slots: "exercisesPerRound",
+      maxItems: 50,
+      maxLength: 40,
+      hint: "Optional; a blank name keeps the default Ex N label.",
+    },
+    transition: {
+      label: "Transition Rest (s)",
+      min: 0,
+      max: 600,
+      duration: true,
+    },
+    blocks: {
+      label: "Blocks",
+      kind: "blocks",
+      hint: "Each block uses the values last set for its type; configure a type first, then add it here.",
+    },
+    intervals: {
+      label: "Intervals",
+      kind: "sequence",
+      hint: "Edit them one by one with Edit Sequence.",
+    },
+    exerciseWorkSlots: {
+      label: "Work per Exercise (s)",
+      kind: "list",
+      itemKind: "duration",
+      itemLabel: "Work",
+      slots: "exercisesPerRound",
+      fallback: "exerciseWork",
+      maxItems: 50,
+      min: 1,
+      max: 3600,
+      hint: "Optional; a blank slot uses Exercise Work.",
+    },
+    exerciseRestSlots: {
+      label: "Rest per Exercise (s)",
+      kind: "list",
+      itemKind: "duration",
+      itemLabel: "Rest",
+      slots: "exercisesPerRound",
+      fallback: "exerciseRest",
+      maxItems: 50,
+      min: 0,
+      max: 3600,
+      hint: "Optional; a blank slot uses Exercise Rest. The last exercise is followed by Between Rounds Rest.",
+    },
   };
 
   const DURATION_KEYS = new Set(
@@ -63,13 +222,74 @@
 
   /** Every field that carries a number — used when (de)serializing share links. */
   const NUMERIC_KEYS = new Set(
-    Object.keys(FIELD_DEFS).filter((key) => FIELD_DEFS[key].kind !== "select"),
+    Object.keys(FIELD_DEFS).filter(
+      (key) => (FIELD_DEFS[key].kind ?? "number") === "number",
+    ),
+  );
+
+  const SELECT_KEYS = new Set(
+    Object.keys(FIELD_DEFS).filter((key) => FIELD_DEFS[key].kind === "select"),
+  );
+
+  const LIST_KEYS = new Set(
+    Object.keys(FIELD_DEFS).filter((key) => FIELD_DEFS[key].kind === "list"),
   );
 
+  function isSequenceKey(key) {
+    return FIELD_DEFS[key]?.kind === "sequence";
+  }
+
+  function isBlocksKey(key) {
+    return FIELD_DEFS[key]?.kind === "blocks";
+  }
+
   function getFieldDef(key) {
     return FIELD_DEFS[key];
   }
 
+  function isListKey(key) {
+    return LIST_KEYS.has(key);
+  }
+
+  function sanitizeItem(key, def, item) {
+    if (def.itemKind === "duration") {
+      const seconds = parseInt(item, 10);
+      return Number.isNaN(seconds) ? null : clampForKey(key, seconds);
+    }
+    return String(item ?? "").trim().slice(0, def.maxLength);
+  }
+
+  const isBlankItem = (item) => item === null || item === "";
+
+  /**
+   * Clean up a list value from the form, a link or storage: trimmed strings
+   * (or bounded seconds), blanks dropped, entries and length capped by the
+   * field def. Slot lists keep inner blanks (entry N belongs to slot N) and
+   * only lose trailing ones.
+   */
+  function sanitizeList(key, value) {
+    const def = FIELD_DEFS[key];
+    if (!def || !Array.isArray(value)) return [];
+    const items = value
+      .map((item) => sanitizeItem(key, def, item))
+      .slice(0, def.maxItems);
+    if (!def.slots) return items.filter((item) => !isBlankItem(item));
+    while (items.length && isBlankItem(items[items.length - 1])) items.pop();
+    return items;
+  }
+
+  function isSelectKey(key) {
+    return SELECT_KEYS.has(key);
+  }
+
+  /** True when `value` is one of the options of a select field. */
+  function isOptionOf(key, value) {
+    return Boolean(
+      isSelectKey(key) &&
+        FIELD_DEFS[key].options.some((option) => option.value === value),
+    );
+  }
+
   function isDurationKey(key) {
     return DURATION_KEYS.has(key);
   }
@@ -98,9 +318,17 @@
     FIELD_DEFS,
     DURATION_KEYS,
     NUMERIC_KEYS,
+    SELECT_KEYS,
+    LIST_KEYS,
     getFieldDef,
     isDurationKey,
     isNumericKey,
+    isSelectKey,
+    isOptionOf,
+    isListKey,
+    isSequenceKey,
+    isBlocksKey,
+    sanitizeList,
     clampForKey,
     maxMinutesForKey,
   };
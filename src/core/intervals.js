@@ -9,11 +9,32 @@
  *     variant?: string,              // e.g. 'warmup', 'rest-exercise', 'rest-between'
  *     round?: number,                // 1-based round (or rep) this interval belongs to
  *     exercise?: number,             // 1-based exercise inside the round
+ *     reps?: number,                 // rep target for this interval ("Death by")
+ *     name?: string,                 // exercise name, when the user gave one
+ *     block?: number,                // 1-based block of a session
+ *     levels?: [{ label, index, total }], // repeat groups it sits in, outermost
+ *                                    //   first (stamped by `expand`)
  *     mode?: 'up',                   // count-up interval (duration is informational)
+ *     manual?: true,                 // with mode 'up': waits for "Next" instead of
+ *                                    //   timing out; `duration` is the planned
+ *                                    //   time, used for totals and previews
+ *     took?: number,                 // manual: seconds it actually ran, stamped
+ *                                    //   by the engine when it ends
+ *     cues?: [{ at | left, sound?, flash? }], // cue points inside the interval:
+ *                                    //   `at` seconds in or `left` seconds
+ *                                    //   before the end (see presenter.dueCues)
  *     softLimit?: number | null,     // count-up target; exceeding it is allowed
+ *     cap?: number,                  // count-up hard limit; the interval ends there
  *     index?: number,                // assigned by the engine on load
  *   }
  *
+ * A sequence may also be a *structure*: a list whose items are intervals or
+ * repeat groups made with `repeat(times, children, { label, between })`.
+ * `children` (and `between`) can be a list or a function of the 1-based
+ * iteration, so a group is only expanded when something walks it. Every
+ * function below accepts either form; `expand` turns a structure into the
+ * flat list the engine runs.
+ *
  * Pure: no DOM, no globals.
  */
 (function (root, factory) {
@@ -28,15 +49,78 @@
   const NOTHING_EXCLUDED = new Set();
   const EFFECTIVE_EXCLUDED = new Set(["prep", "cooldown"]);
 
+  function isGroup(node) {
+    return Boolean(node) && Number.isInteger(node.repeat) && "children" in node;
+  }
+
+  /**
+   * A repeat group: `children` runs `times` times, with `between` (if any)
+   * after every iteration but the last. Intervals inside are stamped with
+   * `{ label, index, total }` for this group, e.g. "Set 2 / 3".
+   */
+  function repeat(times, children, { label = "Round", between = null } = {}) {
+    return { repeat: Math.max(0, times | 0), label, children, between };
+  }
+
+  const nodesAt = (source, iteration) => {
+    const nodes = typeof source === "function" ? source(iteration) : source;
+    if (nodes == null) return [];
+    return Array.isArray(nodes) ? nodes : [nodes];
+  };
+
+  /** Lazily yields the intervals of a sequence or structure, in order. */
+  function* walk(nodes, levels = []) {
+    for (const node of nodes ?? []) {
+      if (!isGroup(node)) {
+        yield levels.length
+          ? { ...node, levels: [...levels, ...(node.levels ?? [])] }
+          : node;
+        continue;
+      }
+      for (let i = 1; i <= node.repeat; i++) {
+        const level = [...levels, { label: node.label, index: i, total: node.repeat }];
+        yield* walk(nodesAt(node.children, i), level);
+        if (i < node.repeat) yield* walk(nodesAt(node.between, i), level);
+      }
+    }
+  }
+
+  /** Flat list of intervals for a structure (a flat list comes back as is). */
+  function expand(structure) {
+    return Array.from(walk(structure));
+  }
+
+  /** The interval at `position`, walking no further than needed. */
+  function intervalAt(sequence, position) {
+    let i = 0;
+    for (const interval of walk(sequence)) {
+      if (i === position) return interval;
+      i += 1;
+    }
+    return undefined;
+  }
+
   function isCountUp(interval) {
     return interval?.mode === "up";
   }
 
+  /** A count-up interval that only ends when the user presses "Next". */
+  function isManual(interval) {
+    return isCountUp(interval) && interval.manual === true;
+  }
+
+  function hasCap(interval) {
+    return isCountUp(interval) && Number.isFinite(interval?.cap);
+  }
+
   /** Duration used for previews, totals and progress. Infinity when open ended. */
   function nominalDuration(interval) {
     if (!interval) return 0;
     if (isCountUp(interval)) {
-      return Number.isFinite(interval.softLimit) ? interval.softLimit : Infinity;
+      if (isManual(interval) && Number.isFinite(interval.took)) return interval.took;
+      if (Number.isFinite(interval.softLimit)) return interval.softLimit;
+      if (isManual(interval) && interval.duration > 0) return interval.duration;
+      return hasCap(interval) ? interval.cap : Infinity;
     }
     return interval.duration;
   }
@@ -48,7 +132,16 @@
   }
 
   function isOpenEnded(interval) {
-    return isCountUp(interval) && !Number.isFinite(interval?.softLimit);
+    return (
+      isCountUp(interval) &&
+      !Number.isFinite(interval?.softLimit) &&
+      !hasCap(interval)
+    );
+  }
+
+  /** True once a capped count-up interval has run into its hard limit. */
+  function reachedCap(interval, currentValue) {
+    return hasCap(interval) && Number(currentValue) >= interval.cap;
   }
 
   /** How much of `interval` is behind us, given the engine's current value. */
@@ -69,7 +162,7 @@
 
   function sumDurations(sequence, exclude = NOTHING_EXCLUDED) {
     let total = 0;
-    for (const interval of sequence) {
+    for (const interval of walk(sequence)) {
       if (exclude.has(interval.type)) continue;
       const duration = nominalDuration(interval);
       if (!Number.isFinite(duration)) return Infinity;
@@ -84,8 +177,9 @@
 
   function elapsedBefore(sequence, position, exclude = NOTHING_EXCLUDED) {
     let elapsed = 0;
-    for (let i = 0; i < position && i < sequence.length; i++) {
-      const interval = sequence[i];
+    let i = 0;
+    for (const interval of walk(sequence)) {
+      if (i++ >= position) break;
       if (exclude.has(interval.type)) continue;
       const duration = nominalDuration(interval);
       if (!Number.isFinite(duration)) return Infinity;
@@ -94,19 +188,22 @@
     return elapsed;
   }
 
-  /** Elapsed / total / left across the whole sequence. */
+  /**
+   * Elapsed / total / left across the whole sequence, plus the repeat
+   * `levels` of the current interval ([] outside any group).
+   */
   function computeTime(sequence, position, currentValue, exclude) {
     const excluded = exclude || NOTHING_EXCLUDED;
     const total = sumDurations(sequence, excluded);
     let elapsed = elapsedBefore(sequence, position, excluded);
-    const current = sequence[position];
+    const current = intervalAt(sequence, position);
     if (current && !excluded.has(current.type)) {
       elapsed += elapsedIn(current, currentValue);
     }
     const left = Number.isFinite(total)
       ? Math.max(0, total - elapsed)
       : Infinity;
-    return { total, elapsed, left };
+    return { total, elapsed, left, levels: current?.levels ?? [] };
   }
 
   /** Same as computeTime but ignoring prep/cooldown, i.e. "real training time". */
@@ -116,10 +213,18 @@
 
   return {
     EFFECTIVE_EXCLUDED,
+    isGroup,
+    repeat,
+    walk,
+    expand,
+    intervalAt,
     isCountUp,
+    isManual,
     nominalDuration,
     initialValue,
     isOpenEnded,
+    hasCap,
+    reachedCap,
     elapsedIn,
     exceedsSoftLimit,
     sumDurations,
@@ -0,0 +1,304 @@
+/*
+ * Plain-text workout notation, the way coaches write programs in a message:
+ *
+ *   prep 10; 8x(20 work/10 rest); rest 60; emom 10x40
+ *
+ * Items are separated by `;`, `/`, `,` or a new line:
+ *   work 40, 40 work, 40      – one interval (a bare duration is work)
+ *   rest 1:30 "Walk it off"   – an optional label, quoted or as plain words
+ *   8x(20 work/10 rest)       – a repeat group; groups nest ("3x(4x(...))")
+ *   emom 10x40                – 10 minutes of 40 s work and 20 s rest
+ * Kinds are work, rest, prep, warmup and cooldown. Durations are seconds,
+ * `90s`, `2m`, `2min`, `1m30s` or `1:30`.
+ *
+ * `parse` returns the editable intervals of a `sequence` workout (see
+ * sequence-edit.js), or an error with the 1-based line and column it was
+ * found at.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(
+      require("./intervals.js"),
+      require("./sequence-edit.js"),
+    );
+  } else {
+    root.WT = root.WT || {};
+    root.WT.notation = factory(root.WT.intervals, root.WT.sequenceEdit);
+  }
+})(
+  typeof globalThis !== "undefined" ? globalThis : this,
+  function (intervals, sequenceEdit) {
+    const { MAX_INTERVALS, MAX_DURATION } = sequenceEdit;
+    const MAX_REPEAT = 200;
+
+    const KINDS = {
+      work: { type: "work", label: "Work" },
+      rest: { type: "rest", label: "Rest" },
+      prep: { type: "prep", label: "Get Ready" },
+      warmup: { type: "prep", label: "Warm Up" },
+      cooldown: { type: "cooldown", label: "Cool Down" },
+    };
+
+    // First match wins. A number may be followed by the "x" of a repeat
+    // ("8x(...)"), but not by other letters ("8xyz" is not a duration).
+    const TOKEN_PATTERNS = [
+      ["space", /[ \t\r]+/y],
+      ["sep", /[\n;/,]/y],
+      ["open", /\(/y],
+      ["close", /\)/y],
+      ["times", /[x×](?=\s*[\d(])/iy],
+      [
+        "number",
+        /(?:(\d+):(\d{2})|(\d+)m(?:in)?(?:(\d+)s)?|(\d+)(s|sec)?)(?:(?![a-z\d])|(?=x))/iy,
+      ],
+      ["string", /"([^"\n]*)"/y],
+      ["word", /[a-z][a-z'-]*/iy],
+    ];
+
+    class NotationError extends Error {
+      constructor(message, { line, column }) {
+        super(message);
+        this.line = line;
+        this.column = column;
+      }
+    }
+
+    function numberToken(match) {
+      const [, mm, ss, minutes, seconds, plain, unit] = match;
+      if (mm != null) {
+        return { value: parseInt(mm, 10) * 60 + parseInt(ss, 10), plain: false };
+      }
+      if (minutes != null) {
+        return {
+          value: parseInt(minutes, 10) * 60 + parseInt(seconds ?? "0", 10),
+          plain: false,
+        };
+      }
+      return { value: parseInt(plain, 10), plain: !unit };
+    }
+
+    function tokenize(text) {
+      const tokens = [];
+      let index = 0;
+      let line = 1;
+      let lineStart = 0;
+      while (index < text.length) {
+        const at = { line, column: index - lineStart + 1 };
+        let matched = null;
+        for (const [kind, pattern] of TOKEN_PATTERNS) {
+          pattern.lastIndex = index;
+          const match = pattern.exec(text);
+          if (match) {
+            matched = { kind, match };
+            break;
+          }
+        }
+        if (!matched) {
+          const message =
+            text[index] === '"'
+              ? "Missing the closing quote"
+              : `Unexpected "${text[index]}"`;
+          throw new NotationError(message, at);
+        }
+        const { kind, match } = matched;
+        if (kind === "number") {
+          tokens.push({ kind, text: match[0], ...numberToken(match), ...at });
+        } else if (kind === "string") {
+          tokens.push({ kind, text: match[0], value: match[1].trim(), ...at });
+        } else if (kind !== "space") {
+          tokens.push({ kind, text: match[0], value: match[0].toLowerCase(), ...at });
+        }
+        if (match[0] === "\n") {
+          line += 1;
+          lineStart = index + 1;
+        }
+        index += match[0].length;
+      }
+      return tokens;
+    }
+
+    function createParser(tokens, end) {
+      let position = 0;
+      const peek = () => tokens[position] ?? end;
+      const next = () => tokens[position++] ?? end;
+      const is = (kind, value) =>
+        peek().kind === kind && (value == null || peek().value === value);
+      const fail = (message, token = peek()) => {
+        throw new NotationError(message, token);
+      };
+      const describe = (token) =>
+        token.kind === "end" ? "the end" : `"${token.text}"`;
+
+      /** A plain whole number such as the 8 of "8x(...)". */
+      function count(token, noun) {
+        if (token.kind !== "number" || !token.plain) {
+          fail(`Expected a ${noun}, found ${describe(token)}`, token);
+        }
+        if (token.value < 1 || token.value > MAX_REPEAT) {
+          fail(`The ${noun} must be between 1 and ${MAX_REPEAT}`, token);
+        }
+        return token.value;
+      }
+
+      function duration(token = next()) {
+        if (token.kind !== "number") {
+          fail(`Expected a duration, found ${describe(token)}`, token);
+        }
+        if (token.value < 1 || token.value > MAX_DURATION) {
+          fail(
+            `Durations must be between 1 second and ${MAX_DURATION / 60} minutes`,
+            token,
+          );
+        }
+        return token.value;
+      }
+
+      /** Quoted text or the plain words up to the next separator. */
+      function label() {
+        if (is("string")) return next().value;
+        const words = [];
+        while (is("word")) words.push(next().text);
+        return words.join(" ");
+      }
+
+      function interval(kind, seconds) {
+        const { type, label: fallback } = KINDS[kind];
+        return { label: label() || fallback, type, duration: seconds };
+      }
+
+      function emom() {
+        const rounds = count(next(), "minute count");
+        let work = 60;
+        if (is("times")) {
+          next();
+          const workToken = peek();
+          work = duration();
+          if (work > 60) fail("EMOM work must fit in the minute", workToken);
+        }
+        const minute = [{ label: "Work", type: "work", duration: work }];
+        if (work < 60) {
+          minute.push({ label: "Rest", type: "rest", duration: 60 - work });
+        }
+        return intervals.repeat(rounds, minute, { label: "Minute" });
+      }
+
+      function group(times) {
+        next(); // the "x"
+        let children;
+        if (is("open")) {
+          const open = next();
+          children = items("close");
+          if (!is("close")) {
+            fail(`Missing ")" for the "(" at line ${open.line}, column ${open.column}`);
+          }
+          next();
+          if (!children.length) fail("Empty group", open);
+        } else {
+          children = [item()];
+        }
+        const nested = children.some(intervals.isGroup);
+        return intervals.repeat(times, children, {
+          label: nested ? "Set" : "Round",
+        });
+      }
+
+      function item() {
+        const token = peek();
+        if (token.kind === "word" && token.value === "emom") {
+          next();
+          return emom();
+        }
+        if (token.kind === "word" && KINDS[token.value]) {
+          next();
+          return interval(token.value, duration());
+        }
+        if (token.kind === "number") {
+          next();
+          if (is("times") || is("word", "x")) {
+            return group(count(token, "repeat count"));
+          }
+          const seconds = duration(token);
+          if (is("word") && KINDS[peek().value]) {
+            return interval(next().value, seconds);
+          }
+          return interval("work", seconds);
+        }
+        return fail(
+          `Expected a duration, a kind (work, rest, ...), "8x(...)" or "emom", found ${describe(token)}`,
+        );
+      }
+
+      /** Items up to `closing` (or the end), separated by separators. */
+      function items(closing) {
+        const list = [];
+        while (true) {
+          while (is("sep")) next();
+          if (is("end") || is(closing)) return list;
+          list.push(item());
+          if (!is("sep") && !is("end") && !is(closing)) {
+            fail(`Expected ";" or a new line before ${describe(peek())}`);
+          }
+        }
+      }
+
+      return { items };
+    }
+
+    /** "Round 2 Work", "Set 1 Round 3 Rest": the label inside its groups. */
+    function labelled(interval) {
+      const levels = interval.levels ?? [];
+      const prefix = levels
+        .map(({ label, index }) => `${label} ${index}`)
+        .join(" ");
+      return sequenceEdit.sanitizeInterval({
+        ...interval,
+        label: prefix ? `${prefix} ${interval.label}` : interval.label,
+      });
+    }
+
+    /**
+     * Parse notation into editable intervals.
+     * Returns { intervals, error }; `error` is null or { message, line, column }.
+     */
+    function parse(text) {
+      const source = String(text ?? "");
+      try {
+        const tokens = tokenize(source);
+        const lines = source.split("\n");
+        const end = {
+          kind: "end",
+          line: lines.length,
+          column: lines.at(-1).length + 1,
+        };
+        const structure = createParser(tokens, end).items();
+        if (!structure.length) {
+          throw new NotationError("Nothing to parse yet", { line: 1, column: 1 });
+        }
+        const list = [];
+        // walk lazily so "100x(100x(...))" stops at the limit
+        for (const interval of intervals.walk(structure)) {
+          if (list.length === MAX_INTERVALS) {
+            throw new NotationError(
+              `Too many intervals; a sequence holds at most ${MAX_INTERVALS}`,
+              { line: 1, column: 1 },
+            );
+          }
+          list.push(labelled(interval));
+        }
+        return { intervals: list, error: null };
+      } catch (error) {
+        if (!(error instanceof NotationError)) throw error;
+        const { message, line, column } = error;
+        return { intervals: [], error: { message, line, column } };
+      }
+    }
+
+    /** "Line 2, column 5: Expected a duration, found "x"". */
+    function formatError(error) {
+      if (!error) return "";
+      return `Line ${error.line}, column ${error.column}: ${error.message}`;
+    }
+
+    return { parse, formatError };
+  },
+);
@@ -16,13 +16,38 @@
   typeof globalThis !== "undefined" ? globalThis : this,
   function (intervals, time) {
     const { formatTime } = time;
-    const PHASE_TYPES = ["work", "rest", "prep", "cooldown"];
+    const BREATH_PHASES = ["inhale", "hold", "exhale"];
+    const PHASE_TYPES = ["work", "rest", "prep", "cooldown", ...BREATH_PHASES];
+    /** Soft, low tones for breathwork instead of the interval beeps. */
+    const BREATH_TONES = {
+      inhale: { freq: 396, duration: 0.6, type: "sine", volume: 0.12 },
+      hold: { freq: 330, duration: 0.4, type: "sine", volume: 0.08 },
+      exhale: { freq: 264, duration: 0.6, type: "sine", volume: 0.12 },
+    };
+    const WAITING_TEXT = "Press Next when ready";
 
     /** CSS suffix for an interval: its variant when set, otherwise its type. */
     function variantOf(interval) {
       return interval?.variant || interval?.type || "";
     }
 
+    /** Phase theme of the timer screen: a breath phase, else the type. */
+    function phaseOf(interval) {
+      return isBreathing(interval) ? interval.variant : (interval?.type ?? null);
+    }
+
+    function isBreathing(interval) {
+      return BREATH_PHASES.includes(interval?.variant);
+    }
+
+    /**
+     * Tone for entering `interval`: a gentle one per breath phase, or null
+     * for the regular two-tone interval beep.
+     */
+    function intervalTone(interval) {
+      return BREATH_TONES[interval?.variant] ?? null;
+    }
+
     function sequencePreviewItems(sequence, currentIndex = 0) {
       return sequence.map((item, index) => ({
         label: item.label,
@@ -36,14 +61,52 @@
       return meta.roundLabel || "Round";
     }
 
-    /** "Round 3 / 8 • Exercise 2 / 3", "Count Up • Soft Limit 10:00", ... */
+    /** The meta that describes `interval`: its block's inside a session. */
+    function blockMeta(interval, meta = {}) {
+      const block = interval?.block;
+      return (block != null && meta.blocks?.[block - 1]?.meta) || meta;
+    }
+
+    /**
+     * "Round 3 / 8 • Exercise 2 / 3", "Count Up • Soft Limit 10:00", ...
+     * Inside a session it starts with the block: "Block 2 / 4 • Round 3 / 8".
+     */
     function roundSummary(interval, meta = {}) {
+      const inner = blockRoundSummary(interval, blockMeta(interval, meta));
+      if (!meta.totalBlocks || interval?.block == null) return inner;
+      const block = `Block ${interval.block} / ${meta.totalBlocks}`;
+      return inner ? `${block} • ${inner}` : block;
+    }
+
+    /** "Set 2 / 3 • Round 4 / 4" from the repeat groups around an interval. */
+    function levelsText(levels) {
+      return levels
+        .map(({ label, index, total }) => `${label} ${index} / ${total}`)
+        .join(" • ");
+    }
+
+    function blockRoundSummary(interval, meta) {
+      // a manual interval is part of the rounds, not a stopwatch
+      if (intervals.isManual(interval)) {
+        const rounds = roundsText(interval, meta);
+        if (!Number.isFinite(interval.softLimit)) return rounds;
+        const target = `Target ${formatTime(interval.softLimit)}`;
+        return rounds ? `${rounds} • ${target}` : target;
+      }
       if (intervals.isCountUp(interval)) {
-        const limit = intervals.nominalDuration(interval);
-        return Number.isFinite(limit)
-          ? `Count Up • Soft Limit ${formatTime(limit)}`
+        const softLimit = interval.softLimit;
+        const base = Number.isFinite(softLimit)
+          ? `Count Up • Soft Limit ${formatTime(softLimit)}`
           : "Count Up • No Limit";
+        return intervals.hasCap(interval)
+          ? `${base} • Cap ${formatTime(interval.cap)}`
+          : base;
       }
+      return roundsText(interval, meta);
+    }
+
+    function roundsText(interval, meta) {
+      if (interval?.levels?.length) return levelsText(interval.levels);
 
       const label = roundLabelFor(meta);
       const totalRounds = meta.totalRounds;
@@ -71,6 +134,24 @@
       return parts.join(" • ");
     }
 
+    /** "+00:10" / "-00:05" for a change in seconds. */
+    function signedTime(seconds) {
+      return `${seconds < 0 ? "-" : "+"}${formatTime(Math.round(Math.abs(seconds)))}`;
+    }
+
+    /** What is announced after a time change: "Round 3 Rest +00:10". */
+    function adjustText(interval, delta) {
+      return `${interval?.label ?? ""} ${signedTime(delta)}`.trim();
+    }
+
+    /** "Resume workout at Round 6 / 10?" for the dialog after a reload. */
+    function resumeText(interval, meta = {}) {
+      const where = intervals.isCountUp(interval)
+        ? interval.label
+        : roundSummary(interval, meta) || interval?.label;
+      return `Resume workout at ${where || "the start"}?`;
+    }
+
     /** Appends the effective elapsed/left tail to a round summary. */
     function roundInfoText(base, { elapsed = 0, left = 0 } = {}) {
       const tail = `Elapsed ${formatTime(Math.max(0, Math.floor(elapsed)))} • Left ${formatTime(
@@ -79,29 +160,58 @@
       return base ? `${base} • ${tail}` : tail;
     }
 
+    /** "12 reps" for intervals that carry a rep target, otherwise "". */
+    function targetText(interval) {
+      const reps = interval?.reps;
+      if (!Number.isFinite(reps)) return "";
+      return `${reps} ${reps === 1 ? "rep" : "reps"}`;
+    }
+
     function nextIntervalText(nextInterval) {
       if (!nextInterval) return "";
-      return `Next: ${nextInterval.label} (${formatTime(
+      const target = targetText(nextInterval);
+      const name = target
+        ? `${nextInterval.label} • ${target}`
+        : nextInterval.label;
+      return `Next: ${name} (${formatTime(
         intervals.nominalDuration(nextInterval),
       )})`;
     }
 
+    /**
+     * What the voice says when an interval starts: its exercise name first.
+     * Rests and prep also announce a named exercise coming up next.
+     */
+    function voiceCue(interval, nextInterval) {
+      if (!interval) return "";
+      const name = interval.name || interval.label;
+      const target = targetText(interval);
+      const cue = target ? `${name}, ${target}` : name;
+      return interval.type !== "work" && nextInterval?.name
+        ? `${cue}. Next up: ${nextInterval.name}`
+        : cue;
+    }
+
     /** View model for entering an interval (start / interval events). */
     function intervalView(interval, { sequence = [], meta = {}, value } = {}) {
       const countUp = intervals.isCountUp(interval);
+      const waiting = intervals.isManual(interval);
       const currentValue = countUp
         ? (value ?? 0)
         : intervals.nominalDuration(interval);
+      const next = nextIntervalText(sequence[(interval?.index ?? -1) + 1]);
+      let nextText = countUp ? "" : next;
+      if (waiting) nextText = next ? `${WAITING_TEXT} • ${next}` : WAITING_TEXT;
       return {
         label: interval?.label ?? "",
+        targetText: targetText(interval),
         mainTime: formatTime(currentValue),
         roundInfo: roundSummary(interval, meta),
-        nextText: countUp
-          ? ""
-          : nextIntervalText(sequence[(interval?.index ?? -1) + 1]),
-        phase: interval?.type ?? null,
+        nextText,
+        phase: phaseOf(interval),
         variant: variantOf(interval),
         softLimitExceeded: intervals.exceedsSoftLimit(interval, currentValue),
+        waiting,
       };
     }
 
@@ -115,6 +225,7 @@
       );
       return {
         label: "Ready",
+        targetText: "",
         mainTime: formatTime(intervals.initialValue(first)),
         roundInfo: roundInfoText(roundSummary(first, meta), {
           elapsed: 0,
@@ -122,7 +233,9 @@
         }),
         nextText: nextIntervalText(sequence[1]),
         totalDurationText: formatTime(intervals.totalDuration(sequence)),
-        roundCountText: String(meta.totalRounds ?? "?"),
+        roundCountText: meta.totalBlocks
+          ? `${meta.totalBlocks} block${meta.totalBlocks === 1 ? "" : "s"}`
+          : String(meta.totalRounds ?? "?"),
       };
     }
 
@@ -146,16 +259,155 @@
         percent: progressPercent(interval, value),
         roundInfo: roundInfoText(roundSummary(interval, meta), effective),
         softLimitExceeded: intervals.exceedsSoftLimit(interval, value),
+        waiting: intervals.isManual(interval),
         effective,
       };
     }
 
-    /** Beep frequency for the final seconds of an interval, or null. */
-    function finalCountdownFrequency(secondsLeft) {
-      if (!Number.isFinite(secondsLeft) || secondsLeft > 3 || secondsLeft <= 0) {
+    /**
+     * Seconds into `interval` a one-off cue point sits at; null when it
+     * never comes (`left` and `halfway` need a count-down, and a cue at or
+     * past the end of a count-down is left to the interval change).
+     */
+    function cueOffset(interval, cue) {
+      const countDown = !intervals.isCountUp(interval);
+      let offset = null;
+      if (Number.isFinite(cue.at)) offset = cue.at;
+      else if (countDown && Number.isFinite(cue.left)) offset = interval.duration - cue.left;
+      else if (countDown && cue.halfway === true) offset = interval.duration / 2;
+      if (offset === null || offset <= 0) return null;
+      return countDown && offset >= interval.duration ? null : offset;
+    }
+
+    /** Whether `cue` comes due in (from, to], both seconds into `interval`. */
+    function isCueDue(interval, cue, from, to) {
+      if (Number.isFinite(cue.every) && cue.every > 0) {
+        const countDown = !intervals.isCountUp(interval);
+        const limit = countDown ? Math.min(to, interval.duration) : to;
+        let last = Math.floor(limit / cue.every) * cue.every;
+        if (countDown && last >= interval.duration) last -= cue.every;
+        return last > 0 && last > from;
+      }
+      const offset = cueOffset(interval, cue);
+      return offset !== null && offset > from && offset <= to;
+    }
+
+    /**
+     * Cue points passed between two ticks, `from` and `to` being seconds
+     * into `interval`: its own `cues` first, then the user's `defaults`
+     * for its type ({ work: [...], ... }; breath phases have their own
+     * rhythm and take none). Each cue fires once as long as the caller
+     * hands back the `to` of the previous tick; an `every` cue fires once
+     * per tick even when a long gap skipped several of its beats.
+     */
+    function dueCues(interval, from, to, defaults = {}) {
+      if (!interval) return [];
+      const own = interval.cues ?? [];
+      const fallback = isBreathing(interval) ? [] : (defaults[interval.type] ?? []);
+      return [...own, ...fallback].filter((cue) => isCueDue(interval, cue, from, to));
+    }
+
+    /**
+     * Beep frequency for the final seconds of an interval, or null. `freqs`
+     * are the countdown tones of the sound profile, the last one at 1 s.
+     */
+    function finalCountdownFrequency(secondsLeft, freqs = [520, 520, 880]) {
+      if (!Number.isFinite(secondsLeft) || secondsLeft > freqs.length || secondsLeft <= 0) {
         return null;
       }
-      return secondsLeft === 1 ? 880 : 520;
+      return freqs[freqs.length - secondsLeft];
+    }
+
+    /** Live round counter for workouts scored in rounds (AMRAP). */
+    function counterView(meta = {}, rounds = 0) {
+      return { hidden: meta.scoring !== "rounds", text: `Rounds: ${rounds}` };
+    }
+
+    /**
+     * The workout specific button next to the regular controls, e.g. the
+     * "+1 Round" tap of an AMRAP or the "Next" of a manual interval. `kind`
+     * tells the app what to do on press.
+     */
+    function actionView(interval, meta = {}, state = "idle") {
+      const running = state === "running";
+      // manual intervals wait for this tap, whatever the workout scores
+      if (intervals.isManual(interval)) {
+        return {
+          hidden: false,
+          kind: "next",
+          label: blockMeta(interval, meta).nextLabel ?? "Next ▶",
+          disabled: !running,
+        };
+      }
+      if (meta.scoring === "rounds") {
+        return {
+          hidden: false,
+          kind: "round",
+          label: "+1 Round",
+          disabled: !running || interval?.type !== "work",
+        };
+      }
+      if (meta.scoring === "time") {
+        return {
+          hidden: false,
+          kind: "done",
+          label: "Done",
+          disabled: !running || !intervals.hasCap(interval),
+        };
+      }
+      if (meta.scoring === "failed") {
+        return {
+          hidden: false,
+          kind: "failed",
+          label: "Failed",
+          disabled: !running || !Number.isFinite(interval?.reps),
+        };
+      }
+      return { hidden: true, kind: null, label: "", disabled: true };
+    }
+
+    function overSoftLimitNote(time, softLimit) {
+      if (!Number.isFinite(softLimit) || time <= softLimit) return "";
+      return ` • ${formatTime(time - softLimit)} over soft limit`;
+    }
+
+    /**
+     * Score line once the workout finishes, or "" for unscored workouts.
+     * `time` is the value a "time" scored interval completed at (null when it
+     * was skipped instead); `failed` is the interval "Failed" was pressed in.
+     */
+    function resultText(
+      meta = {},
+      { rounds = 0, time = null, failed = null } = {},
+    ) {
+      if (meta.scoring === "rounds") {
+        return `${rounds} ${rounds === 1 ? "round" : "rounds"}`;
+      }
+      if (meta.scoring === "time" && Number.isFinite(time)) {
+        const capped = Number.isFinite(meta.timeCap) && time >= meta.timeCap;
+        const head = capped
+          ? `Time cap ${formatTime(meta.timeCap)}`
+          : `Finished in ${formatTime(time)}`;
+        return head + overSoftLimitNote(time, meta.softLimit);
+      }
+      if (meta.scoring === "failed") {
+        const label = roundLabelFor(meta).toLowerCase();
+        if (failed) {
+          return `Failed at ${label} ${failed.round} (${targetText(failed)})`;
+        }
+        return `Completed all ${meta.totalRounds} ${label}s`;
+      }
+      return "";
+    }
+
+    /** View model for the finished state. */
+    function finishedView(meta = {}, score = {}) {
+      return {
+        label: "Finished",
+        targetText: "",
+        mainTime: "00:00",
+        resultText: resultText(meta, score),
+      };
     }
 
     function controlState(state) {
@@ -171,14 +423,21 @@
         reset: { disabled: state === "idle" },
         mark: { disabled: !(running || paused) },
         skip: { disabled: !(running || paused) },
+        previous: { disabled: !(running || paused) },
+        adjust: { disabled: !(running || paused) },
         finished,
       };
     }
 
-    function shouldLog(interval, { marked, skipped, customMessage } = {}) {
-      if (customMessage) return true;
-      if (marked || skipped) return true;
+    function shouldLog(
+      interval,
+      { marked, skipped, jumped, customMessage, completedRound, result } = {},
+    ) {
+      if (customMessage || result) return true;
+      if (marked || skipped || jumped || completedRound) return true;
       if (!interval) return false;
+      // a rest that was stretched or cut is worth a line too
+      if (interval.adjusted) return true;
       return interval.type === "work" || interval.type === "prep";
     }
 
@@ -190,8 +449,12 @@
         remaining,
         marked = false,
         skipped = false,
+        jumped = null,
         customMessage = null,
         timeSinceLastMark = null,
+        completedRound = null,
+        split = null,
+        result = null,
       } = {},
     ) {
       let icon = "✅";
@@ -199,16 +462,29 @@
       let label = interval ? interval.label : "";
       const classes = [];
 
-      if (customMessage) {
+      if (result) {
+        icon = "🏁";
+        iconClass = "text-emerald-400";
+        label = result;
+      } else if (customMessage) {
         icon = "⏸️";
         iconClass = "text-yellow-400";
         label = customMessage;
+      } else if (completedRound) {
+        icon = "🔁";
+        iconClass = "text-emerald-400";
+        label = `Round ${completedRound}`;
       } else if (marked) {
         icon = "🛑";
         iconClass = "text-blue-400";
       } else if (skipped) {
         icon = "⏭️";
         iconClass = "text-orange-400";
+      } else if (jumped) {
+        // 'restart' (back to the start of the same interval) or 'jump'
+        icon = "↩️";
+        iconClass = "text-sky-400";
+        label = `${jumped === "restart" ? "Restart" : "Jump to"} ${label}`;
       } else if (interval && interval.type === "prep") {
         icon = "⏰";
         iconClass = "text-blue-400";
@@ -216,10 +492,18 @@
 
       if (marked) classes.push("marked");
       if (skipped) classes.push("skipped");
+      if (jumped) classes.push("jump");
       if (customMessage) classes.push("pause");
+      if (completedRound) classes.push("round");
+      if (result) classes.push("result");
 
       const details = [];
-      if (elapsed !== undefined && !customMessage) {
+      const plain = !customMessage && !result && !completedRound && !jumped;
+      // what a manual interval (a strength set) really took
+      if (Number.isFinite(interval?.took) && plain) {
+        details.push(`(Took ${formatTime(Math.round(interval.took))})`);
+      }
+      if (elapsed !== undefined && !customMessage && !result) {
         details.push(
           `(Elapsed: ${formatTime(Math.floor(elapsed))} | Left: ${formatTime(
             Math.ceil(remaining),
@@ -229,6 +513,12 @@
       if (marked && timeSinceLastMark !== null) {
         details.push(`(+${formatTime(Math.floor(timeSinceLastMark))})`);
       }
+      if (completedRound && split !== null) {
+        details.push(`(+${formatTime(Math.floor(split))})`);
+      }
+      if (interval?.adjusted && plain) {
+        details.push(`(Adjusted ${signedTime(interval.adjusted)})`);
+      }
 
       return { icon, iconClass, label, details, classes };
     }
@@ -236,16 +526,29 @@
     return {
       PHASE_TYPES,
       variantOf,
+      phaseOf,
+      isBreathing,
+      intervalTone,
       sequencePreviewItems,
       roundLabelFor,
       roundSummary,
+      resumeText,
+      adjustText,
+      blockMeta,
       roundInfoText,
+      targetText,
       nextIntervalText,
+      voiceCue,
       intervalView,
       readyView,
       progressPercent,
       tickView,
       finalCountdownFrequency,
+      dueCues,
+      counterView,
+      actionView,
+      resultText,
+      finishedView,
       controlState,
       shouldLog,
       logEntryView,
@@ -11,26 +11,26 @@
     root.WT.quickPresets = api;
   }
 })(typeof globalThis !== "undefined" ? globalThis : this, function () {
-  // Tabata blocks are modelled as `custom`: 8 exercises of 20/10 per block,
-  // one block per round, with a short break between blocks.
+  // Several Tabatas in a row are Tabata sets: 8 rounds of 20/10 per set,
+  // with a 10 s break between sets.
   const quickPresets = {
     tabata3: {
-      type: "custom",
+      type: "tabata",
       prep: 10,
-      rounds: 3,
-      exercisesPerRound: 8,
-      exerciseWork: 20,
-      exerciseRest: 10,
-      betweenRounds: 10,
+      rounds: 8,
+      work: 20,
+      rest: 10,
+      sets: 3,
+      betweenSets: 10,
     },
     tabata5: {
-      type: "custom",
+      type: "tabata",
       prep: 10,
-      rounds: 5,
-      exercisesPerRound: 8,
-      exerciseWork: 20,
-      exerciseRest: 10,
-      betweenRounds: 10,
+      rounds: 8,
+      work: 20,
+      rest: 10,
+      sets: 5,
+      betweenSets: 10,
     },
     // 10 min EMOM with a full minute of work (no rest)
     emom10x60: { type: "emom", prep: 10, rounds: 10, work: 60 },
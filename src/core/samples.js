@@ -0,0 +1,117 @@
+/*
+ * Audio samples of the user's own (a whistle, a coach saying "Go!") for
+ * the sound profile events. Clips are kept in IndexedDB so they work
+ * offline, one record per clip:
+ *   { name, type: MIME type, data: ArrayBuffer }
+ * A tone names its clip in `sample` (see sound-profiles.js); the Beeper
+ * decodes every clip once and falls back to the synthesized tone when the
+ * clip is gone.
+ *
+ * The IndexedDB factory is injected, like Web Storage in storage.js.
+ */
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === "object" && module.exports) {
+    module.exports = api;
+  } else {
+    root.WT = root.WT || {};
+    root.WT.samples = api;
+  }
+})(typeof globalThis !== "undefined" ? globalThis : this, function () {
+  const DB_NAME = "workoutTimer.samples";
+  const DB_VERSION = 1;
+  const STORE = "samples";
+  const MAX_SAMPLES = 20;
+  const MAX_SAMPLE_BYTES = 1024 * 1024;
+  const MAX_NAME_LENGTH = 24;
+
+  /** Why `file` cannot be a sample, or null when it can. */
+  function checkFile(file) {
+    if (!file) return "No file chosen";
+    if (!String(file.type ?? "").startsWith("audio/")) return "Not an audio file";
+    if (file.size > MAX_SAMPLE_BYTES) {
+      return `Samples must be under ${MAX_SAMPLE_BYTES / 1024 / 1024} MB`;
+    }
+    return null;
+  }
+
+  /** "Coach Go.mp3" -> "Coach Go"; "Coach Go 2" when that name is taken. */
+  function sampleName(fileName, taken = []) {
+    const base =
+      String(fileName ?? "")
+        .replace(/\.[^.]*$/, "")
+        .replace(/[_\s]+/g, " ")
+        .trim()
+        .slice(0, MAX_NAME_LENGTH - 3)
+        .trim() || "Sample";
+    let name = base;
+    for (let n = 2; taken.includes(name); n++) name = `${base} ${n}`;
+    return name;
+  }
+
+  function request(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  /**
+   * Promise based access to the clips. Without IndexedDB (private modes,
+   * old browsers) there are no clips and saving one rejects.
+   */
+  function createSampleStore(indexedDB) {
+    let opening = null;
+
+    function open() {
+      if (!indexedDB) return Promise.reject(new Error("Samples need IndexedDB"));
+      if (!opening) {
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => {
+          req.result.createObjectStore(STORE, { keyPath: "name" });
+        };
+        // a failed open is not kept: the next call tries again
+        opening = request(req).catch((error) => {
+          opening = null;
+          throw error;
+        });
+      }
+      return opening;
+    }
+
+    async function run(mode, action) {
+      const db = await open();
+      return request(action(db.transaction(STORE, mode).objectStore(STORE)));
+    }
+
+    return {
+      /** Clip names, sorted; empty when the database cannot be reached. */
+      async names() {
+        try {
+          return (await run("readonly", (store) => store.getAllKeys())).sort();
+        } catch {
+          return [];
+        }
+      },
+      async get(name) {
+        return (await run("readonly", (store) => store.get(name))) ?? null;
+      },
+      async put({ name, type, data }) {
+        await run("readwrite", (store) => store.put({ name, type, data }));
+      },
+      async remove(name) {
+        await run("readwrite", (store) => store.delete(name));
+      },
+    };
+  }
+
+  return {
+    DB_NAME,
+    STORE,
+    MAX_SAMPLES,
+    MAX_SAMPLE_BYTES,
+    checkFile,
+    sampleName,
+    createSampleStore,
+  };
+});
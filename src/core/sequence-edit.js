@@ -0,0 +1,199 @@
+/*
+ * Hand edited sequences: the intervals behind the `sequence` workout type.
+ *
+ * An editable interval is the small, user facing part of an interval:
+ *   { label, type: 'work' | 'rest' | 'prep' | 'cooldown', duration, mode?: 'up',
+ *     manual?: true }
+ * For a count-up interval `duration` is its soft limit (0 = no limit); for a
+ * manual one (count-up, ends on "Next") it is the planned time.
+ *
+ * Every operation returns a new list and leaves its input alone, so the
+ * editor can keep the last good list around.
+ */
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === "object" && module.exports) {
+    module.exports = api;
+  } else {
+    root.WT = root.WT || {};
+    root.WT.sequenceEdit = api;
+  }
+})(typeof globalThis !== "undefined" ? globalThis : this, function () {
+  const INTERVAL_TYPES = ["work", "rest", "prep", "cooldown"];
+  const DEFAULT_LABELS = {
+    work: "Work",
+    rest: "Rest",
+    prep: "Get Ready",
+    cooldown: "Cool Down",
+  };
+  const MAX_INTERVALS = 200;
+  const MAX_LABEL_LENGTH = 40;
+  const MAX_DURATION = 3600;
+
+  function clampDuration(value, min) {
+    const seconds = parseInt(value, 10);
+    if (Number.isNaN(seconds)) return min;
+    return Math.min(MAX_DURATION, Math.max(min, seconds));
+  }
+
+  /** A valid editable interval out of anything; null for non-objects. */
+  function sanitizeInterval(raw) {
+    if (!raw || typeof raw !== "object") return null;
+    const type = INTERVAL_TYPES.includes(raw.type) ? raw.type : "work";
+    const countUp = raw.mode === "up";
+    const label =
+      String(raw.label ?? "").trim().slice(0, MAX_LABEL_LENGTH) ||
+      DEFAULT_LABELS[type];
+    // a count-down interval needs at least a second to run
+    const duration = clampDuration(raw.duration, countUp ? 0 : 1);
+    if (!countUp) return { label, type, duration };
+    return raw.manual === true
+      ? { label, type, duration, mode: "up", manual: true }
+      : { label, type, duration, mode: "up" };
+  }
+
+  function sanitizeSequence(value) {
+    if (!Array.isArray(value)) return [];
+    return value
+      .map(sanitizeInterval)
+      .filter(Boolean)
+      .slice(0, MAX_INTERVALS);
+  }
+
+  function createInterval(type = "work", duration = 30) {
+    return sanitizeInterval({ type, duration, label: DEFAULT_LABELS[type] });
+  }
+
+  /**
+   * Editable copy of a built sequence. Round/exercise tags are dropped since
+   * they stop meaning anything once intervals move; a count-up keeps its soft
+   * limit, or its cap when it has none.
+   */
+  function fromSequence(sequence = []) {
+    return sanitizeSequence(
+      sequence.map((interval) =>
+        interval?.mode === "up"
+          ? {
+              ...interval,
+              duration: Number.isFinite(interval.softLimit)
+                ? interval.softLimit
+                : interval.duration,
+            }
+          : interval,
+      ),
+    );
+  }
+
+  /** Runnable intervals for the engine. */
+  function toSequence(list = []) {
+    return sanitizeSequence(list).map((interval) => {
+      if (interval.mode !== "up") return interval;
+      if (interval.manual) return { ...interval, softLimit: null };
+      return {
+        ...interval,
+        softLimit: interval.duration > 0 ? interval.duration : null,
+      };
+    });
+  }
+
+  const clampIndex = (list, index) =>
+    Math.min(list.length, Math.max(0, Number.isInteger(index) ? index : list.length));
+
+  const inRange = (list, index) =>
+    Number.isInteger(index) && index >= 0 && index < list.length;
+
+  function insert(list, index, interval = createInterval()) {
+    if (list.length >= MAX_INTERVALS) return list.slice();
+    const next = list.slice();
+    next.splice(clampIndex(list, index), 0, sanitizeInterval(interval));
+    return next;
+  }
+
+  function remove(list, index) {
+    return inRange(list, index) ? list.filter((_, i) => i !== index) : list.slice();
+  }
+
+  /** Copy of the interval right after the original. */
+  function duplicate(list, index) {
+    if (!inRange(list, index)) return list.slice();
+    return insert(list, index + 1, { ...list[index] });
+  }
+
+  /** Move the interval at `from` so it ends up at index `to`. */
+  function move(list, from, to) {
+    if (!inRange(list, from) || !Number.isInteger(to)) return list.slice();
+    const next = list.slice();
+    const [item] = next.splice(from, 1);
+    next.splice(Math.min(next.length, Math.max(0, to)), 0, item);
+    return next;
+  }
+
+  /**
+   * Change some properties of one interval. A label still at its type
+   * default follows a type change ("Rest" becomes "Work").
+   */
+  function update(list, index, patch = {}) {
+    if (!inRange(list, index)) return list.slice();
+    const current = list[index];
+    const merged = { ...current, ...patch };
+    if (
+      patch.type &&
+      patch.label === undefined &&
+      current.label === DEFAULT_LABELS[current.type]
+    ) {
+      merged.label = DEFAULT_LABELS[patch.type] ?? current.label;
+    }
+    if ("mode" in patch && patch.mode !== "up") {
+      delete merged.mode;
+      delete merged.manual;
+    }
+    const next = list.slice();
+    next[index] = sanitizeInterval(merged);
+    return next;
+  }
+
+  /**
+   * Compact text form for share links: `type.duration.label`, with a `+`
+   * after the duration for count-up ("work.0+.Run") and a `!` for manual
+   * ("work.60!.Squat"). The label is last, so it may contain dots.
+   */
+  function encodeInterval(interval) {
+    const clean = sanitizeInterval(interval);
+    if (!clean) return "";
+    let flag = "";
+    if (clean.mode === "up") flag = clean.manual ? "!" : "+";
+    return `${clean.type}.${clean.duration}${flag}.${clean.label}`;
+  }
+
+  /** Inverse of encodeInterval; null when the text is not an interval. */
+  function decodeInterval(text) {
+    const match = /^([a-z]+)\.(\d+)([+!]?)\.(.*)$/s.exec(String(text ?? ""));
+    if (!match || !INTERVAL_TYPES.includes(match[1])) return null;
+    return sanitizeInterval({
+      type: match[1],
+      duration: match[2],
+      label: match[4],
+      ...(match[3] && { mode: "up" }),
+      ...(match[3] === "!" && { manual: true }),
+    });
+  }
+
+  return {
+    INTERVAL_TYPES,
+    DEFAULT_LABELS,
+    MAX_INTERVALS,
+    MAX_DURATION,
+    sanitizeInterval,
+    sanitizeSequence,
+    createInterval,
+    fromSequence,
+    toSequence,
+    insert,
+    remove,
+    duplicate,
+    move,
+    update,
+    encodeInterval,
+    decodeInterval,
+  };
+});
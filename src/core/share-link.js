@@ -1,17 +1,33 @@
 /*
  * Shareable links: config <-> query string.
  * `countdown` in count-up mode is shared as the friendlier `type=countup`.
+ * List fields repeat their key once per entry (`exercises=a&exercises=b`);
+ * an empty list is sent as a single empty value, or left out when the type
+ * starts empty anyway. Slot lists keep blank entries so positions survive.
+ * Sequence fields repeat their key too, one encoded interval each
+ * (`intervals=work.40.Push-ups`, see sequence-edit.js). Session blocks are
+ * whole configs: each `blocks` value is that block's own share query.
+ * A `random` workout's `seed` is sent like any number, so the link replays
+ * the same draw; a link without one gets a fresh seed when it is merged.
  */
 (function (root, factory) {
   if (typeof module === "object" && module.exports) {
-    module.exports = factory(require("./workout-types.js"), require("./fields.js"));
+    module.exports = factory(
+      require("./workout-types.js"),
+      require("./fields.js"),
+      require("./sequence-edit.js"),
+    );
   } else {
     root.WT = root.WT || {};
-    root.WT.shareLink = factory(root.WT.workoutTypes, root.WT.fields);
+    root.WT.shareLink = factory(
+      root.WT.workoutTypes,
+      root.WT.fields,
+      root.WT.sequenceEdit,
+    );
   }
 })(
   typeof globalThis !== "undefined" ? globalThis : this,
-  function (workoutTypes, fields) {
+  function (workoutTypes, fields, sequenceEdit) {
     const { normalizeMode } = workoutTypes;
 
     function shareType(config) {
@@ -36,6 +52,34 @@
           if (typeof value === "string") params.set(key, normalizeMode(value));
           return;
         }
+        if (fields.isOptionOf(key, value)) {
+          params.set(key, value);
+          return;
+        }
+        if (fields.isBlocksKey(key)) {
+          if (!Array.isArray(value)) return;
+          if (!value.length) params.set(key, "");
+          value.forEach((block) => params.append(key, serialize(block)));
+          return;
+        }
+        if (fields.isSequenceKey(key)) {
+          if (!Array.isArray(value)) return;
+          if (!value.length) params.set(key, "");
+          value.forEach((interval) =>
+            params.append(key, sequenceEdit.encodeInterval(interval)),
+          );
+          return;
+        }
+        if (fields.isListKey(key)) {
+          if (!Array.isArray(value)) return;
+          if (!value.length) {
+            const initial = workoutTypes.getDefaults(config.type)[key];
+            if (!Array.isArray(initial) || initial.length) params.set(key, "");
+            return;
+          }
+          value.forEach((item) => params.append(key, String(item ?? "")));
+          return;
+        }
         if (typeof value === "number" && !Number.isNaN(value)) {
           params.set(key, String(value));
         }
@@ -64,6 +108,33 @@
           if (rawType !== "countup") config.mode = normalizeMode(value);
           return;
         }
+        if (fields.isBlocksKey(key)) {
+          if (!(key in config)) {
+            config[key] = workoutTypes.sanitizeBlocks(
+              qs.getAll(key).map((query) => parse(query, options)),
+            );
+          }
+          return;
+        }
+        if (fields.isSequenceKey(key)) {
+          if (!(key in config)) {
+            config[key] = sequenceEdit.sanitizeSequence(
+              qs.getAll(key).map((text) => sequenceEdit.decodeInterval(text)),
+            );
+          }
+          return;
+        }
+        if (fields.isListKey(key)) {
+          if (!(key in config)) {
+            config[key] = fields.sanitizeList(key, qs.getAll(key));
+          }
+          return;
+        }
+        if (fields.isSelectKey(key)) {
+          // unknown options are dropped so the type default applies instead
+          if (fields.isOptionOf(key, value)) config[key] = value;
+          return;
+        }
         if (fields.isNumericKey(key)) {
           const parsed = parseInt(value, 10);
           // Links are untrusted input: keep every value inside its field bounds
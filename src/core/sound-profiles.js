@@ -0,0 +1,175 @@
+/*
+ * Sound profiles: the tones played for each timer event.
+ *
+ * A profile holds one tone per event:
+ *   { name, start, complete, countdown, finish }
+ *   tone = { type: 'sine' | 'triangle' | 'square' | 'sawtooth',
+ *            freqs: [Hz, ...], duration: seconds, volume: 0..1,
+ *            sample?: name of a clip of the user's (see samples.js) }
+ * `freqs` are played one after the other, `duration` apart. For the
+ * countdown they are the final seconds instead: [520, 520, 880] beeps at
+ * 3, 2 and 1 second left (see presenter.finalCountdownFrequency). A tone
+ * with a `sample` plays that clip in place of the synth, which stays the
+ * fallback while the clip is missing.
+ *
+ * The user's choice is stored as { active, custom: { name: profile } };
+ * `active` is a built-in id or the name of a custom profile.
+ */
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === "object" && module.exports) {
+    module.exports = api;
+  } else {
+    root.WT = root.WT || {};
+    root.WT.soundProfiles = api;
+  }
+})(typeof globalThis !== "undefined" ? globalThis : this, function () {
+  const WAVEFORMS = ["sine", "triangle", "square", "sawtooth"];
+  const SOUND_EVENTS = {
+    start: "Interval Start",
+    complete: "Interval End",
+    countdown: "Countdown",
+    finish: "Workout Finish",
+  };
+  const FREQ_RANGE = [100, 4000];
+  const DURATION_RANGE = [0.03, 1.5];
+  const VOLUME_RANGE = [0.01, 1];
+  const MAX_TONES = 5;
+  const MAX_CUSTOM = 10;
+  const MAX_NAME_LENGTH = 24;
+  const MAX_SAMPLE_NAME_LENGTH = 24;
+
+  const tone = (type, freqs, duration, volume) => ({ type, freqs, duration, volume });
+
+  const PROFILES = {
+    classic: {
+      name: "Classic",
+      start: tone("sine", [660, 880], 0.12, 0.3),
+      complete: tone("sine", [440], 0.12, 0.3),
+      countdown: tone("sine", [520, 520, 880], 0.12, 0.3),
+      finish: tone("sine", [660, 880, 1100], 0.16, 0.3),
+    },
+    soft: {
+      name: "Soft",
+      start: tone("triangle", [392, 523], 0.2, 0.12),
+      complete: tone("triangle", [330], 0.2, 0.1),
+      countdown: tone("triangle", [440, 440, 587], 0.15, 0.1),
+      finish: tone("triangle", [392, 494, 587], 0.3, 0.12),
+    },
+    whistle: {
+      name: "Whistle",
+      start: tone("sine", [2500], 0.45, 0.25),
+      complete: tone("sine", [2100, 2100], 0.15, 0.25),
+      countdown: tone("sine", [2300, 2300, 2800], 0.1, 0.2),
+      finish: tone("sine", [2500, 2500, 2500], 0.35, 0.3),
+    },
+    gym: {
+      name: "Gym Loud",
+      start: tone("square", [880, 1175], 0.18, 0.6),
+      complete: tone("sawtooth", [330], 0.25, 0.6),
+      countdown: tone("square", [660, 660, 1320], 0.15, 0.55),
+      finish: tone("sawtooth", [880, 660, 880, 1320], 0.2, 0.7),
+    },
+  };
+  const DEFAULT_PROFILE = "classic";
+
+  const clamp = (value, [min, max]) => Math.min(max, Math.max(min, value));
+
+  /**
+   * A clean copy of `value`; missing or broken parts come from `fallback`,
+   * except `sample`, which is only ever the one `value` names.
+   */
+  function sanitizeTone(value, fallback) {
+    if (!value || typeof value !== "object") return { ...fallback };
+    const freqs = Array.isArray(value.freqs)
+      ? value.freqs
+          .map(Number)
+          .filter(Number.isFinite)
+          .slice(0, MAX_TONES)
+          .map((freq) => Math.round(clamp(freq, FREQ_RANGE)))
+      : [];
+    const number = (key, range) =>
+      Number.isFinite(Number(value[key])) ? clamp(Number(value[key]), range) : fallback[key];
+    const sample =
+      typeof value.sample === "string"
+        ? value.sample.trim().slice(0, MAX_SAMPLE_NAME_LENGTH)
+        : "";
+    return {
+      type: WAVEFORMS.includes(value.type) ? value.type : fallback.type,
+      freqs: freqs.length ? freqs : fallback.freqs.slice(),
+      duration: number("duration", DURATION_RANGE),
+      volume: number("volume", VOLUME_RANGE),
+      ...(sample && { sample }),
+    };
+  }
+
+  function sanitizeName(value) {
+    return typeof value === "string" ? value.trim().slice(0, MAX_NAME_LENGTH) : "";
+  }
+
+  /** Every event filled in, based on `fallback` (Classic by default). */
+  function sanitizeProfile(value, fallback = PROFILES[DEFAULT_PROFILE]) {
+    const source = value && typeof value === "object" ? value : {};
+    const profile = { name: sanitizeName(source.name) || fallback.name };
+    Object.keys(SOUND_EVENTS).forEach((event) => {
+      profile[event] = sanitizeTone(source[event], fallback[event]);
+    });
+    return profile;
+  }
+
+  function sanitizeSettings(value) {
+    const source = value && typeof value === "object" ? value : {};
+    // fromEntries defines own keys, so even "__proto__" stays a plain name
+    const custom = Object.fromEntries(
+      source.custom && typeof source.custom === "object"
+        ? Object.entries(source.custom)
+            .slice(0, MAX_CUSTOM)
+            .map(([name, profile]) => [sanitizeName(name), profile])
+            .filter(([name]) => name && !Object.hasOwn(PROFILES, name))
+            .map(([name, profile]) => [name, { ...sanitizeProfile(profile), name }])
+        : [],
+    );
+    // own keys only: "constructor" or "toString" name no profile
+    const active =
+      Object.hasOwn(PROFILES, source.active) || Object.hasOwn(custom, source.active)
+        ? source.active
+        : DEFAULT_PROFILE;
+    return { active, custom };
+  }
+
+  /** The profile `settings.active` names, Classic when it is gone. */
+  function resolve(settings) {
+    const { active, custom } = sanitizeSettings(settings);
+    return Object.hasOwn(PROFILES, active) ? PROFILES[active] : custom[active];
+  }
+
+  /** "660 880" (spaces or commas) as frequencies, or null when invalid. */
+  function parseFrequencies(text) {
+    const words = String(text ?? "")
+      .split(/[\s,]+/)
+      .filter(Boolean);
+    if (!words.length || words.length > MAX_TONES) return null;
+    const freqs = words.map(Number);
+    const [min, max] = FREQ_RANGE;
+    return freqs.every((freq) => Number.isInteger(freq) && freq >= min && freq <= max)
+      ? freqs
+      : null;
+  }
+
+  return {
+    WAVEFORMS,
+    SOUND_EVENTS,
+    FREQ_RANGE,
+    DURATION_RANGE,
+    VOLUME_RANGE,
+    MAX_TONES,
+    MAX_CUSTOM,
+    PROFILES,
+    DEFAULT_PROFILE,
+    sanitizeTone,
+    sanitizeProfile,
+    sanitizeSettings,
+    resolve,
+    parseFrequencies,
+  };
+});
@@ -1,20 +1,34 @@
 /*
- * Persistence: named presets and pinned workouts.
+ * Persistence: named presets, pinned workouts, the default cue points, the
+ * sound profiles and the snapshot of the run in progress.
  *
  * The Web Storage object is injected, so stores can be exercised in node with
  * a plain Map-backed stub (see createMemoryStorage).
  */
 (function (root, factory) {
   if (typeof module === "object" && module.exports) {
-    module.exports = factory(require("./config.js"));
+    module.exports = factory(
+      require("./config.js"),
+      require("./cue-points.js"),
+      require("./sound-profiles.js"),
+    );
   } else {
     root.WT = root.WT || {};
-    root.WT.storage = factory(root.WT.config);
+    root.WT.storage = factory(
+      root.WT.config,
+      root.WT.cuePoints,
+      root.WT.soundProfiles,
+    );
   }
-})(typeof globalThis !== "undefined" ? globalThis : this, function (config) {
+})(typeof globalThis !== "undefined" ? globalThis : this, function (config, cuePoints, soundProfiles) {
   const PRESETS_KEY = "workoutTimer.presets.v1";
   const PINNED_KEY = "workoutTimer.pinned.v1";
   const PIN_LIMIT = 5;
+  const SNAPSHOT_KEY = "workoutTimer.snapshot.v1";
+  const CUES_KEY = "workoutTimer.cues.v1";
+  const SOUNDS_KEY = "workoutTimer.sounds.v1";
+  /** Older snapshots are not worth resuming. */
+  const SNAPSHOT_MAX_AGE_MS = 12 * 60 * 60 * 1000;
 
   function createMemoryStorage(initial = {}) {
     const map = new Map(Object.entries(initial));
@@ -132,10 +146,101 @@
     };
   }
 
+  // ----- default cue points -----
+
+  /** The user's cue points per interval type, see cue-points.js. */
+  function createCueStore(storage) {
+    return {
+      get() {
+        return cuePoints.sanitizeDefaults(readJSON(storage, CUES_KEY, {}));
+      },
+      set(defaults) {
+        const clean = cuePoints.sanitizeDefaults(defaults);
+        writeJSON(storage, CUES_KEY, clean);
+        return clean;
+      },
+    };
+  }
+
+  // ----- sound profiles -----
+
+  /** The active sound profile and the user's own, see sound-profiles.js. */
+  function createSoundStore(storage) {
+    return {
+      get() {
+        return soundProfiles.sanitizeSettings(readJSON(storage, SOUNDS_KEY, {}));
+      },
+      set(settings) {
+        const clean = soundProfiles.sanitizeSettings(settings);
+        writeJSON(storage, SOUNDS_KEY, clean);
+        return clean;
+      },
+    };
+  }
+
+  // ----- snapshot of the run in progress -----
+
+  /** An entry the round log can be built from again; anything else is dropped. */
+  function isLogEntry(entry) {
+    return (
+      Boolean(entry) &&
+      (entry.interval == null || typeof entry.interval === "object") &&
+      Boolean(entry.options) &&
+      typeof entry.options === "object"
+    );
+  }
+
+  /**
+   * A usable snapshot or null. Shape:
+   *   { engine: TimerEngine#serialize(), config, meta, log, run, savedAt }
+   * `log` holds the round log entries, oldest first, as the { interval,
+   * options } they are built from (see presenter.logEntryView); `run` the
+   * app's own counters (rounds tapped, last mark, ...).
+   */
+  function sanitizeSnapshot(value, now = Date.now()) {
+    if (!value || typeof value !== "object") return null;
+    const { engine, config: cfg } = value;
+    if (!engine || !Array.isArray(engine.sequence) || !engine.sequence.length) {
+      return null;
+    }
+    if (!cfg || typeof cfg !== "object" || !cfg.type) return null;
+    if (!Number.isFinite(value.savedAt) || now - value.savedAt > SNAPSHOT_MAX_AGE_MS) {
+      return null;
+    }
+    return {
+      ...value,
+      meta: value.meta && typeof value.meta === "object" ? value.meta : {},
+      log: Array.isArray(value.log) ? value.log.filter(isLogEntry) : [],
+      run: value.run && typeof value.run === "object" ? value.run : {},
+    };
+  }
+
+  function createSnapshotStore(storage, { now = () => Date.now() } = {}) {
+    return {
+      get() {
+        return sanitizeSnapshot(readJSON(storage, SNAPSHOT_KEY, null), now());
+      },
+      save(snapshot) {
+        return writeJSON(storage, SNAPSHOT_KEY, { ...snapshot, savedAt: now() });
+      },
+      clear() {
+        try {
+          storage?.removeItem(SNAPSHOT_KEY);
+        } catch {
+          // nothing to clear in a storage we cannot reach
+        }
+      },
+    };
+  }
+
   return {
     PRESETS_KEY,
     PINNED_KEY,
     PIN_LIMIT,
+    SNAPSHOT_KEY,
+    SNAPSHOT_MAX_AGE_MS,
+    CUES_KEY,
+    SOUNDS_KEY,
     createMemoryStorage,
     readJSON,
     writeJSON,
@@ -145,5 +250,9 @@
     upsertPin,
     removePinAt,
     createPinnedStore,
+    createCueStore,
+    createSoundStore,
+    sanitizeSnapshot,
+    createSnapshotStore,
   };
 });
@@ -8,7 +8,28 @@
  *   fields      – editable field names, in form order (see fields.js)
  *   defaults    – starting config
  *   normalize   – optional (config) => config hook for legacy/migrated values
- *   build       – (config) => { sequence, meta }
+ *   legacyDefaults – optional values that configs saved before a field existed
+ *                 were implicitly built with; left out of fingerprints so an
+ *                 old pin still matches the same workout today
+ *   validate    – optional (config) => string[] of problems to show the user
+ *   displayName – optional (config) => name for summaries ("E2MOM")
+ *   inSession   – false for types that cannot be a block of a session
+ *                 (scored types end or score the whole run)
+ *   build       – (config) => { sequence, meta }; repeated parts are best
+ *                 described with `intervals.repeat` groups and flattened
+ *                 with `intervals.expand`, so every interval knows its
+ *                 "Set 2 / 3 • Round 4 / 4" position
+ *
+ * `meta` carries what the timer screen needs beyond the sequence:
+ *   totalRounds – round count for "Round 3 / 8" (null when open ended)
+ *   scoring     – optional: 'rounds' when the user taps to count rounds,
+ *                 'time' when the finishing time of a capped count-up is
+ *                 the score, 'failed' when the user ends it with "Failed"
+ *   roundLabel  – optional: what a round is called ("Rep", "Minute")
+ *   nextLabel   – optional: the action button on manual intervals ("Done")
+ *   totalBlocks – sessions only: number of blocks; intervals carry `block`
+ *   blocks      – sessions only: [{ name, meta }] per block, so round texts
+ *                 inside a block use that block's own meta
  *
  * An entry here is all a new workout type needs: the type <select>, config
  * form, summary, share links, sequence preview and timer screen all read from
@@ -17,13 +38,21 @@
  */
 (function (root, factory) {
   if (typeof module === "object" && module.exports) {
-    module.exports = factory(require("./time.js"));
+    module.exports = factory(
+      require("./time.js"),
+      require("./intervals.js"),
+      require("./sequence-edit.js"),
+    );
   } else {
     root.WT = root.WT || {};
-    root.WT.workoutTypes = factory(root.WT.time);
+    root.WT.workoutTypes = factory(
+      root.WT.time,
+      root.WT.intervals,
+      root.WT.sequenceEdit,
+    );
   }
-})(typeof globalThis !== "undefined" ? globalThis : this, function (time) {
-  const { toNonNegativeInteger } = time;
+})(typeof globalThis !== "undefined" ? globalThis : this, function (time, intervals, sequenceEdit) {
+  const { toNonNegativeInteger, formatTime } = time;
 
   const MINUTE = 60;
 
@@ -35,6 +64,121 @@
     return mode === "up" ? "up" : "down";
   }
 
+  /**
+   * Work durations from `start` towards `peak` in `step` increments (either
+   * direction). The peak is always reached, even when the step overshoots it;
+   * `mirror` walks back down to the start afterwards.
+   */
+  function ladderDurations({ start, peak, step, mirror }) {
+    const direction = peak >= start ? 1 : -1;
+    const stride = Math.max(1, step) * direction;
+    const climb = [];
+    for (let d = start; (peak - d) * direction > 0; d += stride) climb.push(d);
+    climb.push(peak);
+    if (!mirror) return climb;
+    return climb.concat(climb.slice(0, -1).reverse());
+  }
+
+  /**
+   * Work at the start of every period (60s unless set); the remainder of the
+   * period becomes rest. Work longer than the period is cut to fit, so a bad
+   * value never stretches the rounds out of step (see validate).
+   */
+  function buildEmom(config = {}) {
+    const rounds = config.rounds ?? 10;
+    const period = config.period ?? MINUTE;
+    const work = Math.min(config.work ?? 40, period);
+    const prep = config.prep ?? 10;
+    const sequence = [];
+    if (prep) sequence.push(prepInterval(prep));
+    for (let r = 1; r <= rounds; r++) {
+      sequence.push({
+        label: `Round ${r} Work`,
+        type: "work",
+        duration: work,
+        round: r,
+      });
+      const restDuration = Math.max(0, period - work);
+      if (restDuration > 0) {
+        sequence.push({
+          label: `Round ${r} Rest`,
+          type: "rest",
+          duration: restDuration,
+          round: r,
+        });
+      }
+    }
+    return { sequence, meta: { totalRounds: rounds } };
+  }
+
+  function validateEmom(config) {
+    const period = config.period ?? MINUTE;
+    const work = config.work ?? 40;
+    if (work <= period) return [];
+    return [
+      `Work (${formatTime(work)}) does not fit inside the period (${formatTime(
+        period,
+      )}); it is cut to the period.`,
+    ];
+  }
+
+  /**
+   * Per-slot durations with a shared fallback: returns (slot) => seconds for
+   * 1-based slots, using `fallback` where the list has no number.
+   */
+  function slotDurations(list, fallback) {
+    const values = Array.isArray(list) ? list : [];
+    return (slot) => {
+      const value = values[slot - 1];
+      return typeof value === "number" && Number.isFinite(value)
+        ? toNonNegativeInteger(value, fallback)
+        : fallback;
+    };
+  }
+
+  const isRestName = (name) => name.trim().toLowerCase() === "rest";
+
+  /**
+   * EMOM cycling through named exercises, one per period. An exercise called
+   * "Rest" turns its whole period into rest.
+   */
+  function buildRotation(config = {}) {
+    const names = Array.isArray(config.exercises)
+      ? config.exercises.filter((name) => String(name).trim())
+      : [];
+    const period = config.period ?? MINUTE;
+    const built = buildEmom(config);
+    if (!names.length) return built;
+
+    const sequence = [];
+    built.sequence.forEach((interval) => {
+      const r = interval.round;
+      if (r == null) {
+        sequence.push(interval);
+        return;
+      }
+      const name = String(names[(r - 1) % names.length]).trim();
+      if (isRestName(name)) {
+        // the work interval of this period stands for the whole rest period
+        if (interval.type === "work") {
+          sequence.push({
+            label: `R${r} Rest`,
+            type: "rest",
+            duration: period,
+            round: r,
+          });
+        }
+        return;
+      }
+      sequence.push(
+        interval.type === "work"
+          ? { ...interval, label: `R${r} ${name}`, name }
+          : { ...interval, label: `R${r} Rest` },
+      );
+    });
+    return { sequence, meta: built.meta };
+  }
+
   /** Count-up / count-down builder, shared by the `countdown` type. */
   function buildCountdown(config = {}) {
     const mode = normalizeMode(config.mode);
@@ -60,38 +204,159 @@
     return { sequence, meta: { totalRounds: 1, mode: "down" } };
   }
 
+  /** Largest `seed` of a random workout (see the seed field). */
+  const MAX_SEED = 999999;
+
+  function randomSeed() {
+    return 1 + Math.floor(Math.random() * MAX_SEED);
+  }
+
+  /**
+   * Deterministic random numbers in [0, 1) for a seed (mulberry32): the same
+   * seed always draws the same workout, which is what makes it shareable.
+   */
+  function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /** Min/max of a range typed in any order. */
+  function rangeOf(a, b) {
+    return a <= b ? [a, b] : [b, a];
+  }
+
+  function validateRandom(config) {
+    const issues = [];
+    if ((config.workMin ?? 0) > (config.workMax ?? 0)) {
+      issues.push("Shortest work is longer than longest work; the two are swapped.");
+    }
+    if ((config.restMin ?? 0) > (config.restMax ?? 0)) {
+      issues.push("Shortest rest is longer than longest rest; the two are swapped.");
+    }
+    return issues;
+  }
+
+  /** Work and rest drawn per round from their ranges, in whole seconds. */
+  function buildRandom(config = {}) {
+    const rounds = toNonNegativeInteger(config.rounds, 10) || 1;
+    const prep = toNonNegativeInteger(config.prep, 10);
+    const [workMin, workMax] = rangeOf(
+      toNonNegativeInteger(config.workMin, 10) || 1,
+      toNonNegativeInteger(config.workMax, 40) || 1,
+    );
+    const [restMin, restMax] = rangeOf(
+      toNonNegativeInteger(config.restMin, 5),
+      toNonNegativeInteger(config.restMax, 30),
+    );
+    const next = seededRandom(toNonNegativeInteger(config.seed, 1));
+    const draw = (min, max) => min + Math.floor(next() * (max - min + 1));
+    // drawn up front, always work then rest, so a seed means one workout
+    const draws = Array.from({ length: rounds }, () => [
+      draw(workMin, workMax),
+      draw(restMin, restMax),
+    ]);
+    const structure = [];
+    if (prep) structure.push(prepInterval(prep));
+    structure.push(
+      intervals.repeat(
+        rounds,
+        (r) => ({
+          label: `Round ${r} Work`,
+          type: "work",
+          duration: draws[r - 1][0],
+          round: r,
+        }),
+        {
+          label: "Round",
+          between: (r) =>
+            draws[r - 1][1]
+              ? {
+                  label: `Round ${r} Rest`,
+                  type: "rest",
+                  duration: draws[r - 1][1],
+                  round: r,
+                }
+              : null,
+        },
+      ),
+    );
+    return {
+      sequence: intervals.expand(structure),
+      meta: { totalRounds: rounds },
+    };
+  }
+
   const registry = {
     emom: {
       label: "EMOM",
       optionLabel: "EMOM (Every Minute On the Minute)",
       emoji: "⏲️",
-      fields: ["prep", "rounds", "work"],
-      defaults: { prep: 10, rounds: 10, work: 40 },
-      // Work inside each 60s block; the remainder of the minute becomes rest.
+      fields: ["prep", "rounds", "period", "work"],
+      defaults: { prep: 10, rounds: 10, period: 60, work: 40 },
+      legacyDefaults: { period: MINUTE },
+      validate: validateEmom,
+      // EMOM, E2MOM, E3MOM ... or E90S for periods that are not whole minutes.
+      displayName(config) {
+        const period = config.period ?? MINUTE;
+        if (period === MINUTE) return "EMOM";
+        return period % MINUTE === 0
+          ? `E${period / MINUTE}MOM`
+          : `E${period}S`;
+      },
+      build: buildEmom,
+    },
+
+    rotation: {
+      label: "Alt EMOM",
+      optionLabel: "Alternating EMOM (Exercise Rotation)",
+      emoji: "🔄",
+      fields: ["prep", "rounds", "period", "work", "exercises"],
+      defaults: {
+        prep: 10,
+        rounds: 12,
+        period: 60,
+        work: 40,
+        exercises: ["Burpees", "KB Swings", "Rest"],
+      },
+      validate: validateEmom,
+      build: buildRotation,
+    },
+
+    deathby: {
+      label: "Death By",
+      optionLabel: "Death By (Rising Reps EMOM)",
+      emoji: "💀",
+      inSession: false,
+      fields: ["prep", "startReps", "repStep", "rounds"],
+      defaults: { prep: 10, startReps: 1, repStep: 1, rounds: 30 },
+      // A full-minute EMOM whose rep target rises every minute; `rounds` is
+      // only the upper bound, the workout ends when the user hits "Failed".
       build(config) {
-        const rounds = config.rounds ?? 10;
-        const work = config.work ?? 40;
-        const prep = config.prep ?? 10;
-        const sequence = [];
-        if (prep) sequence.push(prepInterval(prep));
-        for (let r = 1; r <= rounds; r++) {
-          sequence.push({
-            label: `Round ${r} Work`,
-            type: "work",
-            duration: work,
-            round: r,
-          });
-          const restDuration = Math.max(0, MINUTE - work);
-          if (restDuration > 0) {
-            sequence.push({
-              label: `Round ${r} Rest`,
-              type: "rest",
-              duration: restDuration,
-              round: r,
-            });
-          }
-        }
-        return { sequence, meta: { totalRounds: rounds } };
+        const startReps = config.startReps ?? 1;
+        const repStep = config.repStep ?? 1;
+        const { sequence, meta } = buildEmom({
+          prep: config.prep,
+          rounds: config.rounds ?? 30,
+          work: MINUTE,
+        });
+        return {
+          sequence: sequence.map((interval) =>
+            interval.round == null
+              ? interval
+              : {
+                  ...interval,
+                  label: `Minute ${interval.round}`,
+                  reps: startReps + (interval.round - 1) * repStep,
+                },
+          ),
+          meta: { ...meta, roundLabel: "Minute", scoring: "failed" },
+        };
       },
     },
 
@@ -99,30 +364,73 @@
       label: "Tabata",
       optionLabel: "Tabata",
       emoji: "🔥",
-      fields: ["prep", "rounds", "work", "rest"],
-      defaults: { prep: 10, rounds: 8, work: 20, rest: 10 },
+      fields: ["prep", "rounds", "work", "rest", "sets", "betweenSets"],
+      defaults: {
+        prep: 10,
+        rounds: 8,
+        work: 20,
+        rest: 10,
+        sets: 1,
+        betweenSets: 60,
+      },
+      legacyDefaults: { sets: 1, betweenSets: 60 },
+      // One Tabata is a group of rounds; several of them in a row are a
+      // group of sets around it, with a longer rest between sets. In sets,
+      // the last round of a set gives its rest up to the rest between sets,
+      // and the last set ends on work.
       build(config) {
         const rounds = config.rounds ?? 8;
         const work = config.work ?? 20;
         const rest = config.rest ?? 10;
         const prep = config.prep ?? 10;
-        const sequence = [];
-        if (prep) sequence.push(prepInterval(prep));
-        for (let r = 1; r <= rounds; r++) {
-          sequence.push({
-            label: `Round ${r} Work`,
-            type: "work",
-            duration: work,
-            round: r,
-          });
-          sequence.push({
-            label: `Round ${r} Rest`,
-            type: "rest",
-            duration: rest,
-            round: r,
-          });
-        }
-        return { sequence, meta: { totalRounds: rounds } };
+        const sets = config.sets ?? 1;
+        const betweenSets = config.betweenSets ?? 0;
+        const prefix = (s) => (sets > 1 ? `Set ${s} ` : "");
+        const keepsLastRest = (s) => sets === 1 || (s < sets && !betweenSets);
+        const tabata = (s) =>
+          intervals.repeat(
+            rounds,
+            (r) => [
+              {
+                label: `${prefix(s)}Round ${r} Work`,
+                type: "work",
+                duration: work,
+                round: r,
+              },
+              ...(r < rounds || keepsLastRest(s)
+                ? [
+                    {
+                      label: `${prefix(s)}Round ${r} Rest`,
+                      type: "rest",
+                      duration: rest,
+                      round: r,
+                    },
+                  ]
+                : []),
+            ],
+            { label: "Round" },
+          );
+        const structure = [];
+        if (prep) structure.push(prepInterval(prep));
+        structure.push(
+          sets > 1
+            ? intervals.repeat(sets, tabata, {
+                label: "Set",
+                between: betweenSets
+                  ? (s) => ({
+                      label: `Between Set ${s}`,
+                      type: "rest",
+                      duration: betweenSets,
+                      variant: "rest-between",
+                    })
+                  : null,
+              })
+            : tabata(1),
+        );
+        return {
+          sequence: intervals.expand(structure),
+          meta: { totalRounds: rounds },
+        };
       },
     },
 
@@ -189,9 +497,13 @@
         "prep",
         "rounds",
         "exercisesPerRound",
+        "workMode",
         "exerciseWork",
         "exerciseRest",
         "betweenRounds",
+        "exerciseNames",
+        "exerciseWorkSlots",
+        "exerciseRestSlots",
       ],
       defaults: {
         prep: 10,
@@ -200,11 +512,24 @@
         exerciseWork: 30,
         exerciseRest: 10,
         betweenRounds: 30,
+        workMode: "timed",
+        exerciseNames: [],
+        exerciseWorkSlots: [],
+        exerciseRestSlots: [],
+      },
+      legacyDefaults: {
+        workMode: "timed",
+        exerciseNames: [],
+        exerciseWorkSlots: [],
+        exerciseRestSlots: [],
       },
       // Presets saved before multi-exercise support only carry work/rest;
       // map them onto the exercise fields and assume a single exercise.
       normalize(config) {
         const next = { ...config };
+        if (next.workMode !== undefined) {
+          next.workMode = next.workMode === "manual" ? "manual" : "timed";
+        }
         const isLegacy = next.work != null || next.rest != null;
         if (!isLegacy) return next;
         if (next.work != null && next.exerciseWork == null) {
@@ -224,39 +549,69 @@
           config.exerciseRest ?? config.rest ?? 10;
         const betweenRounds = config.betweenRounds ?? 0;
         const prep = config.prep ?? 10;
-        const sequence = [];
-        if (prep) sequence.push(prepInterval(prep));
-        for (let r = 1; r <= rounds; r++) {
-          for (let e = 1; e <= exercisesPerRound; e++) {
-            sequence.push({
-              label: `R${r} Ex ${e} Work`,
-              type: "work",
-              duration: exerciseWork,
-              round: r,
-              exercise: e,
-            });
-            if (exerciseRest && e < exercisesPerRound) {
-              sequence.push({
-                label: `R${r} Ex ${e} Rest`,
+        const names = Array.isArray(config.exerciseNames)
+          ? config.exerciseNames
+          : [];
+        const workSlots = slotDurations(config.exerciseWorkSlots, exerciseWork);
+        const restSlots = slotDurations(config.exerciseRestSlots, exerciseRest);
+        const nameOf = (e) => String(names[e - 1] ?? "").trim();
+        // manual work waits for "Next"; its seconds stay as the plan
+        const manual =
+          config.workMode === "manual"
+            ? { mode: "up", manual: true, softLimit: null }
+            : null;
+        const exercise = (r) => (e) => {
+          const name = nameOf(e);
+          return {
+            label: name ? `R${r} ${name}` : `R${r} Ex ${e} Work`,
+            type: "work",
+            duration: workSlots(e),
+            round: r,
+            exercise: e,
+            ...(name && { name }),
+            ...manual,
+          };
+        };
+        // the exercise rest only sits between exercises, never after the last
+        const restAfter = (r) => (e) =>
+          restSlots(e)
+            ? {
+                label: `R${r} ${nameOf(e) || `Ex ${e}`} Rest`,
                 type: "rest",
-                duration: exerciseRest,
+                duration: restSlots(e),
                 variant: "rest-exercise",
                 round: r,
                 exercise: e,
-              });
-            }
-          }
-          if (betweenRounds && r < rounds) {
-            sequence.push({
-              label: `Between Round ${r}`,
-              type: "rest",
-              duration: betweenRounds,
-              variant: "rest-between",
-              round: r,
-            });
-          }
-        }
-        return { sequence, meta: { totalRounds: rounds, exercisesPerRound } };
+              }
+            : null;
+        const structure = [];
+        if (prep) structure.push(prepInterval(prep));
+        structure.push(
+          intervals.repeat(
+            rounds,
+            (r) =>
+              intervals.repeat(exercisesPerRound, exercise(r), {
+                label: "Exercise",
+                between: restAfter(r),
+              }),
+            {
+              label: "Round",
+              between: betweenRounds
+                ? (r) => ({
+                    label: `Between Round ${r}`,
+                    type: "rest",
+                    duration: betweenRounds,
+                    variant: "rest-between",
+                    round: r,
+                  })
+                : null,
+            },
+          ),
+        );
+        return {
+          sequence: intervals.expand(structure),
+          meta: { totalRounds: rounds, exercisesPerRound },
+        };
       },
     },
 
@@ -285,6 +640,285 @@
       },
     },
 
+    ladder: {
+      label: "Ladder",
+      optionLabel: "Ladder / Pyramid (Changing Work)",
+      emoji: "🪜",
+      fields: [
+        "prep",
+        "startWork",
+        "peakWork",
+        "workStep",
+        "mirror",
+        "restMode",
+        "rest",
+        "restPercent",
+      ],
+      defaults: {
+        prep: 10,
+        startWork: 20,
+        peakWork: 50,
+        workStep: 10,
+        mirror: "yes",
+        restMode: "fixed",
+        rest: 15,
+        restPercent: 50,
+      },
+      // Work changes by a fixed step each round; rest is fixed or a share of
+      // the work it follows. No rest after the final round.
+      build(config) {
+        const works = ladderDurations({
+          start: config.startWork ?? 20,
+          peak: config.peakWork ?? 50,
+          step: config.workStep ?? 10,
+          mirror: config.mirror !== "no",
+        });
+        const proportional = config.restMode === "ratio";
+        const rest = config.rest ?? 15;
+        const restPercent = config.restPercent ?? 50;
+        const prep = config.prep ?? 10;
+        const sequence = [];
+        if (prep) sequence.push(prepInterval(prep));
+        works.forEach((work, i) => {
+          const r = i + 1;
+          sequence.push({
+            label: `Round ${r} Work`,
+            type: "work",
+            duration: work,
+            round: r,
+          });
+          const restDuration = proportional
+            ? Math.round((work * restPercent) / 100)
+            : rest;
+          if (restDuration > 0 && r < works.length) {
+            sequence.push({
+              label: `Round ${r} Rest`,
+              type: "rest",
+              duration: restDuration,
+              round: r,
+            });
+          }
+        });
+        return { sequence, meta: { totalRounds: works.length } };
+      },
+    },
+
+    amrap: {
+      label: "AMRAP",
+      optionLabel: "AMRAP (As Many Rounds As Possible)",
+      emoji: "🔁",
+      inSession: false,
+      fields: ["prep", "timeCap"],
+      defaults: { prep: 10, timeCap: 720 },
+      // One long work block; rounds are counted by tapping while it runs.
+      build(config) {
+        const timeCap = toNonNegativeInteger(config.timeCap, 720) || 720;
+        const prep = toNonNegativeInteger(config.prep, 10);
+        const sequence = [];
+        if (prep) sequence.push(prepInterval(prep));
+        sequence.push({ label: "AMRAP", type: "work", duration: timeCap });
+        return { sequence, meta: { totalRounds: null, scoring: "rounds" } };
+      },
+    },
+
+    fortime: {
+      label: "For Time",
+      optionLabel: "For Time (Count Up with Time Cap)",
+      emoji: "🏁",
+      inSession: false,
+      fields: ["prep", "softLimit", "timeCap"],
+      defaults: { prep: 10, softLimit: 600, timeCap: 900 },
+      // Counts up until "Done" or the hard cap; the soft limit is only a target.
+      build(config) {
+        const timeCap = toNonNegativeInteger(config.timeCap, 900) || 900;
+        const target = toNonNegativeInteger(config.softLimit, 0);
+        const softLimit = target > 0 ? Math.min(target, timeCap) : null;
+        const prep = toNonNegativeInteger(config.prep, 0);
+        const sequence = [];
+        if (prep) sequence.push(prepInterval(prep));
+        sequence.push({
+          label: "For Time",
+          type: "work",
+          duration: timeCap,
+          mode: "up",
+          softLimit,
+          cap: timeCap,
+        });
+        return {
+          sequence,
+          meta: { totalRounds: 1, scoring: "time", softLimit, timeCap },
+        };
+      },
+    },
+
+    // Unpredictable intervals for reaction and conditioning drills. A config
+    // without a seed gets a fresh one, so every new workout is a new draw.
+    random: {
+      label: "Random",
+      optionLabel: "Random Intervals (Seeded)",
+      emoji: "🎲",
+      fields: ["prep", "rounds", "workMin", "workMax", "restMin", "restMax", "seed"],
+      defaults: {
+        prep: 10,
+        rounds: 10,
+        workMin: 10,
+        workMax: 40,
+        restMin: 5,
+        restMax: 30,
+        seed: 1,
+      },
+      normalize(config) {
+        const seed = Number(config.seed);
+        return Number.isInteger(seed) && seed >= 1 && seed <= MAX_SEED
+          ? config
+          : { ...config, seed: randomSeed() };
+      },
+      validate: validateRandom,
+      build: buildRandom,
+    },
+
+    // Boxing / MMA rounds. The "10 seconds" clapper is a cue point inside
+    // each round, separate from the 3-2-1 beeps before the bell.
+    fight: {
+      label: "Fight",
+      optionLabel: "Boxing / MMA Rounds",
+      emoji: "🥊",
+      fields: ["prep", "rounds", "roundLength", "rest", "warning"],
+      defaults: { prep: 10, rounds: 12, roundLength: 180, rest: 60, warning: 10 },
+      build(config) {
+        const rounds = toNonNegativeInteger(config.rounds, 12) || 1;
+        const roundLength = toNonNegativeInteger(config.roundLength, 180) || 1;
+        const rest = toNonNegativeInteger(config.rest, 60);
+        const warning = toNonNegativeInteger(config.warning, 10);
+        const prep = toNonNegativeInteger(config.prep, 10);
+        const cues =
+          warning && warning < roundLength
+            ? [{ left: warning, sound: "clap", flash: true }]
+            : [];
+        const structure = [];
+        if (prep) structure.push(prepInterval(prep));
+        structure.push(
+          intervals.repeat(
+            rounds,
+            (r) => ({
+              label: `Round ${r}`,
+              type: "work",
+              duration: roundLength,
+              round: r,
+              ...(cues.length && { cues }),
+            }),
+            {
+              label: "Round",
+              between: rest
+                ? (r) => ({
+                    label: `Round ${r} Rest`,
+                    type: "rest",
+                    duration: rest,
+                    round: r,
+                  })
+                : null,
+            },
+          ),
+        );
+        return {
+          sequence: intervals.expand(structure),
+          meta: { totalRounds: rounds },
+        };
+      },
+    },
+
+    // Lifting: every set runs until "Done", then the rest counts down.
+    sets: {
+      label: "Sets",
+      optionLabel: "Strength Sets (Rest Timer)",
+      emoji: "🏋️",
+      fields: ["prep", "sets", "setTarget", "rest"],
+      defaults: { prep: 10, sets: 5, setTarget: 0, rest: 90 },
+      build(config) {
+        const sets = toNonNegativeInteger(config.sets, 5) || 1;
+        const target = toNonNegativeInteger(config.setTarget, 0);
+        const rest = toNonNegativeInteger(config.rest, 90);
+        const prep = toNonNegativeInteger(config.prep, 10);
+        const structure = [];
+        if (prep) structure.push(prepInterval(prep));
+        structure.push(
+          intervals.repeat(
+            sets,
+            (s) => ({
+              label: `Set ${s}`,
+              type: "work",
+              duration: target,
+              round: s,
+              mode: "up",
+              manual: true,
+              softLimit: target > 0 ? target : null,
+            }),
+            {
+              label: "Set",
+              between: rest
+                ? (s) => ({
+                    label: `Rest after Set ${s}`,
+                    type: "rest",
+                    duration: rest,
+                    round: s,
+                  })
+                : null,
+            },
+          ),
+        );
+        return {
+          sequence: intervals.expand(structure),
+          meta: { totalRounds: sets, roundLabel: "Set", nextLabel: "Done ✓" },
+        };
+      },
+    },
+
+    // Breathwork: a repeating inhale / hold / exhale / hold pattern. Phases
+    // are calm rests with their own variants (colors, voice and tone).
+    breathing: {
+      label: "Breathing",
+      optionLabel: "Breathing (Box Breathing / Breathwork)",
+      emoji: "🌬️",
+      fields: ["prep", "cycles", "inhale", "holdIn", "exhale", "holdOut"],
+      defaults: { prep: 10, cycles: 10, inhale: 4, holdIn: 4, exhale: 4, holdOut: 4 },
+      displayName(config) {
+        const pattern = [config.inhale, config.holdIn, config.exhale, config.holdOut]
+          .map((value) => toNonNegativeInteger(value, 0))
+          .join("-");
+        return `Breathing ${pattern}`;
+      },
+      build(config) {
+        const cycles = toNonNegativeInteger(config.cycles, 10) || 1;
+        const prep = toNonNegativeInteger(config.prep, 10);
+        const phases = [
+          ["Inhale", "inhale", toNonNegativeInteger(config.inhale, 4) || 1],
+          ["Hold", "hold", toNonNegativeInteger(config.holdIn, 4)],
+          ["Exhale", "exhale", toNonNegativeInteger(config.exhale, 4) || 1],
+          ["Hold", "hold", toNonNegativeInteger(config.holdOut, 4)],
+        ].filter(([, , duration]) => duration > 0);
+        const structure = [];
+        if (prep) structure.push(prepInterval(prep));
+        structure.push(
+          intervals.repeat(
+            cycles,
+            (c) =>
+              phases.map(([label, variant, duration]) => ({
+                label,
+                type: "rest",
+                variant,
+                duration,
+                round: c,
+              })),
+            { label: "Cycle" },
+          ),
+        );
+        return {
+          sequence: intervals.expand(structure),
+          meta: { totalRounds: cycles, roundLabel: "Cycle" },
+        };
+      },
+    },
+
     countdown: {
       label: "Countdown",
       optionLabel: "Timer (Countdown / Count Up)",
@@ -296,14 +930,137 @@
       },
       build: buildCountdown,
     },
+
+    // Several workouts back to back, with an optional rest between blocks.
+    session: {
+      label: "Session",
+      optionLabel: "Session (Chain Several Workouts)",
+      emoji: "🔗",
+      inSession: false,
+      fields: ["transition", "blocks"],
+      defaults: {
+        transition: 60,
+        blocks: [{ type: "hiit" }, { type: "emom" }, { type: "tabata" }],
+      },
+      normalize(config) {
+        if (config.blocks === undefined) return config;
+        return { ...config, blocks: sanitizeBlocks(config.blocks) };
+      },
+      validate(config) {
+        return config.blocks?.length
+          ? []
+          : ["The session has no blocks; add at least one workout."];
+      },
+      build: buildSession,
+    },
+
+    // Intervals edited one by one in the sequence editor, run exactly as given.
+    sequence: {
+      label: "Sequence",
+      optionLabel: "Sequence (Interval by Interval)",
+      emoji: "🧩",
+      fields: ["intervals"],
+      defaults: {
+        intervals: [
+          { label: "Get Ready", type: "prep", duration: 10 },
+          { label: "Work", type: "work", duration: 40 },
+          { label: "Rest", type: "rest", duration: 20 },
+          { label: "Work", type: "work", duration: 40 },
+          { label: "Cool Down", type: "cooldown", duration: 60 },
+        ],
+      },
+      normalize(config) {
+        if (config.intervals === undefined) return config;
+        return {
+          ...config,
+          intervals: sequenceEdit.sanitizeSequence(config.intervals),
+        };
+      },
+      validate(config) {
+        return config.intervals?.length
+          ? []
+          : ["The sequence is empty; add intervals with Edit Sequence."];
+      },
+      build(config) {
+        return {
+          sequence: sequenceEdit.toSequence(config.intervals),
+          meta: { totalRounds: null },
+        };
+      },
+    },
   };
 
   const typeNames = Object.keys(registry);
   const supportedTypes = new Set(typeNames);
 
+  const MAX_BLOCKS = 10;
+
+  /** True when `type` may be chained as a block of a session. */
+  function isBlockType(type) {
+    return Boolean(registry[type]) && registry[type].inSession !== false;
+  }
+
+  function sanitizeBlocks(value) {
+    if (!Array.isArray(value)) return [];
+    return value
+      .filter((block) => block && typeof block === "object")
+      .filter((block) => isBlockType(block.type))
+      .slice(0, MAX_BLOCKS);
+  }
+
+  function displayName(config = {}) {
+    const def = registry[config.type];
+    if (!def) return String(config.type ?? "");
+    return def.displayName ? def.displayName(config) : def.label;
+  }
+
+  /**
+   * Build every block with its own type, tag its intervals with the 1-based
+   * `block`, and put a transition rest between blocks.
+   */
+  function buildSession(config = {}) {
+    const blocks = sanitizeBlocks(config.blocks);
+    const transition = toNonNegativeInteger(config.transition, 0);
+    const sequence = [];
+    const blockMetas = [];
+
+    blocks.forEach((block, i) => {
+      const built = build(block.type, { ...getDefaults(block.type), ...block });
+      const name = displayName(block);
+      blockMetas.push({ name, meta: built.meta });
+      if (i > 0 && transition) {
+        sequence.push({
+          label: `Transition to ${name}`,
+          type: "rest",
+          duration: transition,
+          variant: "rest-between",
+          block: i + 1,
+        });
+      }
+      built.sequence.forEach((interval) =>
+        sequence.push({ ...interval, block: i + 1 }),
+      );
+    });
+
+    return {
+      sequence,
+      meta: { totalRounds: null, totalBlocks: blocks.length, blocks: blockMetas },
+    };
+  }
+
+  /** Shallow copy that also copies list values, so callers can't share them. */
+  function copyConfig(config) {
+    return Object.fromEntries(
+      Object.entries(config).map(([key, value]) => [
+        key,
+        Array.isArray(value) ? value.slice() : value,
+      ]),
+    );
+  }
+
   /** Derived map kept for convenience: { [type]: defaults }. */
   const defaultConfigs = typeNames.reduce((acc, type) => {
-    acc[type] = { ...registry[type].defaults };
+    acc[type] = copyConfig(registry[type].defaults);
     return acc;
   }, {});
 
@@ -320,7 +1077,7 @@
   }
 
   function getDefaults(type) {
-    return { ...(registry[type]?.defaults ?? {}) };
+    return copyConfig(registry[type]?.defaults ?? {});
   }
 
   function getEmoji(type) {
@@ -346,6 +1103,13 @@
     getEmoji,
     build,
     buildCountdown,
+    buildEmom,
+    buildRotation,
+    buildSession,
+    isBlockType,
+    sanitizeBlocks,
+    displayName,
+    ladderDurations,
     normalizeMode,
   };
 });
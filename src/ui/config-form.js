@@ -17,6 +17,13 @@
     };
   }
 
+  /** Helper text under a control, for fields that have a `hint`. */
+  function hintHtml(def) {
+    return def.hint
+      ? `<p class="text-[11px] text-slate-400 leading-snug">${escapeHtml(def.hint)}</p>`
+      : "";
+  }
+
   function stepperButton({ field, part, step, label }) {
     return `<button type="button" class="step-btn" tabindex="-1" data-field="${field}" data-part="${part}" data-step="${step}" aria-label="${escapeHtml(label)}">${
       step < 0 ? "−" : "+"
@@ -24,10 +31,13 @@
   }
 
   function numberRow(key, def, value) {
-    return `<div class="number-stepper">
-        ${stepperButton({ field: key, part: "value", step: -1, label: `Decrease ${def.label}` })}
-        <input type="number" inputmode="numeric" pattern="[0-9]*" id="f_${key}" data-key="${key}" min="${def.min}" max="${def.max}" value="${value}" class="field text-base" aria-label="${escapeHtml(def.label)}" />
-        ${stepperButton({ field: key, part: "value", step: 1, label: `Increase ${def.label}` })}
+    return `<div class="flex flex-col gap-1">
+        <div class="number-stepper">
+          ${stepperButton({ field: key, part: "value", step: -1, label: `Decrease ${def.label}` })}
+          <input type="number" inputmode="numeric" pattern="[0-9]*" id="f_${key}" data-key="${key}" min="${def.min}" max="${def.max}" value="${value}" class="field text-base" aria-label="${escapeHtml(def.label)}" />
+          ${stepperButton({ field: key, part: "value", step: 1, label: `Increase ${def.label}` })}
+        </div>
+        ${hintHtml(def)}
       </div>`;
   }
 
@@ -46,11 +56,14 @@
     const split = durationSplit.toSplit(seconds);
     const maxMinutes = fields.maxMinutesForKey(key);
     return `<input type="hidden" id="f_${key}" data-key="${key}" value="${seconds}" />
-      <div id="f_${key}_split" class="time-split flex items-center gap-2">
-        ${splitGroup(key, def, "min", split.minutes, maxMinutes)}
-        <span class="text-xs text-slate-400">m</span>
-        ${splitGroup(key, def, "sec", split.seconds, 59)}
-        <span class="text-xs text-slate-400">s</span>
+      <div class="flex flex-col gap-1">
+        <div id="f_${key}_split" class="time-split flex items-center gap-2">
+          ${splitGroup(key, def, "min", split.minutes, maxMinutes)}
+          <span class="text-xs text-slate-400">m</span>
+          ${splitGroup(key, def, "sec", split.seconds, 59)}
+          <span class="text-xs text-slate-400">s</span>
+        </div>
+        ${hintHtml(def)}
       </div>`;
   }
 
@@ -61,20 +74,116 @@
           `<option value="${option.value}" ${option.value === value ? "selected" : ""}>${escapeHtml(option.label)}</option>`,
       )
       .join("");
-    const hint = def.hint
-      ? `<p class="text-[11px] text-slate-400 leading-snug">${escapeHtml(def.hint)}</p>`
-      : "";
     return `<div class="flex flex-col gap-1">
         <select id="f_${key}" data-key="${key}" class="field text-base" aria-label="${escapeHtml(def.label)}">${options}</select>
-        ${hint}
+        ${hintHtml(def)}
+      </div>`;
+  }
+
+  function listItem(key, def, value, index) {
+    const label = `${def.itemLabel} ${index + 1}`;
+    return `<div class="flex items-center gap-2">
+        <input type="text" data-list="${key}" data-index="${index}" value="${escapeHtml(value)}" maxlength="${def.maxLength}" class="field text-sm flex-1" aria-label="${escapeHtml(label)}" />
+        <button type="button" class="btn-subtle text-xs" data-list-remove="${key}" data-index="${index}" aria-label="Remove ${escapeHtml(label)}">×</button>
+      </div>`;
+  }
+
+  function slotInput(key, def, value, index, fallback) {
+    const label = `${def.itemLabel} ${index + 1}`;
+    if (def.itemKind === "duration") {
+      return `<input type="number" inputmode="numeric" pattern="[0-9]*" data-list="${key}" data-index="${index}" min="${def.min}" max="${def.max}" value="${value ?? ""}" placeholder="${fallback ?? ""}" class="field text-sm" aria-label="${escapeHtml(label)}" />`;
+    }
+    return `<input type="text" data-list="${key}" data-index="${index}" value="${escapeHtml(value ?? "")}" maxlength="${def.maxLength}" placeholder="Ex ${index + 1}" class="field text-sm" aria-label="${escapeHtml(label)}" />`;
+  }
+
+  /**
+   * A slot list shows exactly one input per slot, so no add/remove. Blank
+   * duration slots show the shared fallback value as a placeholder.
+   */
+  function slotRow(key, def, items, config) {
+    const list = Array.isArray(items) ? items : [];
+    const count = Math.min(Number(config[def.slots]) || 0, def.maxItems);
+    const fallback = def.fallback ? config[def.fallback] : null;
+    const inputs = Array.from({ length: Math.max(0, count) }, (_, index) =>
+      slotInput(key, def, list[index], index, fallback),
+    ).join("");
+    return `<div id="f_${key}" class="flex flex-col gap-1">
+        ${inputs}
+        ${hintHtml(def)}
+      </div>`;
+  }
+
+  function listRow(key, def, items) {
+    const list = Array.isArray(items) ? items : [];
+    const add =
+      list.length < def.maxItems
+        ? `<button type="button" class="btn-subtle text-xs self-start" data-list-add="${key}">+ Add ${escapeHtml(def.itemLabel.toLowerCase())}</button>`
+        : "";
+    return `<div id="f_${key}" class="flex flex-col gap-1">
+        ${list.map((value, index) => listItem(key, def, value, index)).join("")}
+        ${add}
+        ${hintHtml(def)}
+      </div>`;
+  }
+
+  /** Sequences are edited on their own screen; the form only counts them. */
+  function sequenceRow(key, def, value) {
+    return `<div class="flex flex-col gap-1">
+        <span id="f_${key}" class="text-sm">${escapeHtml(configCore.formatFieldValue(key, value))}</span>
+        ${hintHtml(def)}
       </div>`;
   }
 
-  function fieldRow(key, value) {
+  /**
+   * Session blocks: one line per block with move/remove buttons, then a type
+   * picker that appends the values last used for that type.
+   */
+  function blocksRow(key, def, value) {
+    const blocks = Array.isArray(value) ? value : [];
+    const rows = blocks
+      .map((block, index) => {
+        const name = `block ${index + 1}`;
+        const button = (op, text, label) =>
+          `<button type="button" class="btn-subtle text-xs" data-block-op="${op}" data-index="${index}" aria-label="${escapeHtml(label)}">${text}</button>`;
+        return `<div class="flex items-center gap-2">
+          <span class="text-sm flex-1">${index + 1}. ${escapeHtml(configCore.describeBlock(block))}</span>
+          ${index > 0 ? button("up", "↑", `Move ${name} up`) : ""}
+          ${index < blocks.length - 1 ? button("down", "↓", `Move ${name} down`) : ""}
+          ${button("remove", "×", `Remove ${name}`)}
+        </div>`;
+      })
+      .join("");
+    const options = workoutTypes.typeNames
+      .filter((type) => workoutTypes.isBlockType(type))
+      .map(
+        (type) =>
+          `<option value="${type}">${escapeHtml(workoutTypes.getType(type).label)}</option>`,
+      )
+      .join("");
+    return `<div id="f_${key}" class="flex flex-col gap-1">
+        ${rows}
+        <div class="flex items-center gap-2">
+          <select data-block-type="${key}" class="field text-sm" aria-label="Workout type to add">${options}</select>
+          <button type="button" class="btn-subtle text-xs" data-block-add="${key}">+ Add block</button>
+        </div>
+        ${hintHtml(def)}
+      </div>`;
+  }
+
+  /** One form row; `config` supplies the slot count of slot lists. */
+  function fieldRow(key, value, config = {}) {
     const def = fields.getFieldDef(key);
     if (!def) return "";
     let control;
-    if (def.kind === "select") {
+    if (def.kind === "blocks") {
+      control = blocksRow(key, def, value);
+    } else if (def.kind === "sequence") {
+      control = sequenceRow(key, def, value);
+    } else if (def.kind === "list" && def.slots) {
+      control = slotRow(key, def, value, config);
+    } else if (def.kind === "list") {
+      control = listRow(key, def, value);
+    } else if (def.kind === "select") {
       control = selectRow(key, def, value || def.options[0]?.value);
     } else if (fields.isDurationKey(key)) {
       control = durationRow(key, def, Number(value) || 0);
@@ -118,6 +227,12 @@
       const secEl = byId(`f_${key}_sec`);
       if (minEl) minEl.value = String(split.minutes);
       if (secEl) secEl.value = String(split.seconds);
+      // blank per-slot durations show this value as their placeholder
+      $$("[data-list]", els.dynamicFields)
+        .filter((input) => fields.getFieldDef(input.dataset.list)?.fallback === key)
+        .forEach((input) => {
+          input.placeholder = String(clamped);
+        });
       return clamped;
     }
 
@@ -134,6 +249,7 @@
         if (!input) return;
         const current = parseInt(input.value, 10) || 0;
         input.value = String(fields.clampForKey(field, current + delta));
+        syncSlots(field);
         onChange();
         return;
       }
@@ -146,6 +262,27 @@
       onChange();
     }
 
+    /**
+     * Re-render when `key` sets the slot count of a list field (e.g. the
+     * exercise names follow Exercises / Round) and that count changed.
+     */
+    function syncSlots(key, { refocus = false } = {}) {
+      const type = getType();
+      const listKeys = workoutTypes
+        .getFields(type)
+        .filter((name) => fields.getFieldDef(name)?.slots === key);
+      if (!listKeys.length) return;
+      const cfg = collect();
+      const stale = listKeys.some(
+        (listKey) =>
+          readInputs(listKey).length !==
+          Math.min(cfg[key], fields.getFieldDef(listKey).maxItems),
+      );
+      if (!stale) return;
+      render(type);
+      if (refocus) secondsInput(key)?.focus();
+    }
+
     function attachListeners() {
       // main inputs (hidden seconds, numbers, selects)
       $$("[data-key]", els.dynamicFields).forEach((input) => {
@@ -154,6 +291,7 @@
           if (fields.isDurationKey(key)) {
             writeSeconds(key, parseInt(input.value, 10) || 0);
           }
+          syncSlots(key, { refocus: true });
           onChange();
         });
       });
@@ -167,6 +305,69 @@
         });
       });
 
+      // list entries: typing edits in place, add/remove re-render the rows
+      $$("[data-list]", els.dynamicFields).forEach((input) => {
+        input.addEventListener("input", () => onChange());
+      });
+      $$("[data-list-add]", els.dynamicFields).forEach((btn) => {
+        btn.addEventListener("click", () => {
+          const key = btn.dataset.listAdd;
+          const cfg = collect();
+          memory[cfg.type] = { ...cfg, [key]: [...readList(key), ""] };
+          render(cfg.type);
+          readInputs(key).at(-1)?.focus();
+          onChange();
+        });
+      });
+      $$("[data-list-remove]", els.dynamicFields).forEach((btn) => {
+        btn.addEventListener("click", () => {
+          const key = btn.dataset.listRemove;
+          const index = parseInt(btn.dataset.index, 10);
+          const items = readList(key).filter((_, i) => i !== index);
+          const cfg = collect();
+          memory[cfg.type] = { ...cfg, [key]: fields.sanitizeList(key, items) };
+          render(cfg.type);
+          onChange();
+        });
+      });
+
+      // session blocks: add the remembered config of a type, move, remove
+      $$("[data-block-add]", els.dynamicFields).forEach((btn) => {
+        btn.addEventListener("click", () => {
+          const key = btn.dataset.blockAdd;
+          const picker = $$("[data-block-type]", els.dynamicFields).find(
+            (select) => select.dataset.blockType === key,
+          );
+          const blockType = picker?.value;
+          if (!workoutTypes.isBlockType(blockType)) return;
+          const cfg = collect();
+          editBlocks(cfg, key, (blocks) => [
+            ...blocks,
+            configCore.mergeWithDefaults(blockType, remembered(blockType)),
+          ]);
+        });
+      });
+      $$("[data-block-op]", els.dynamicFields).forEach((btn) => {
+        btn.addEventListener("click", () => {
+          const index = parseInt(btn.dataset.index, 10);
+          const cfg = collect();
+          const key = workoutTypes
+            .getFields(cfg.type)
+            .find((name) => fields.isBlocksKey(name));
+          const op = btn.dataset.blockOp;
+          editBlocks(cfg, key, (blocks) => {
+            const next = blocks.slice();
+            if (op === "remove") {
+              next.splice(index, 1);
+              return next;
+            }
+            const to = op === "up" ? index - 1 : index + 1;
+            if (next[to]) [next[index], next[to]] = [next[to], next[index]];
+            return next;
+          });
+        });
+      });
+
       // steppers (hold shift for x5)
       $$(".step-btn", els.dynamicFields).forEach((btn) => {
         const activate = (multiplier) => {
@@ -203,16 +404,47 @@
       const cfg = remembered(type);
       const rows = workoutTypes
         .getFields(type)
-        .map((key) => fieldRow(key, cfg[key]))
+        .map((key) => fieldRow(key, cfg[key], cfg))
         .join("");
       els.dynamicFields.innerHTML = `<table class="w-full text-sm font-medium mx-auto">${rows}</table>`;
       attachListeners();
     }
 
+    function readInputs(key) {
+      return $$("[data-list]", els.dynamicFields).filter(
+        (input) => input.dataset.list === key,
+      );
+    }
+
+    function editBlocks(cfg, key, change) {
+      const blocks = Array.isArray(cfg[key]) ? cfg[key] : [];
+      memory[cfg.type] = { ...cfg, [key]: change(blocks) };
+      render(cfg.type);
+      onChange();
+    }
+
+    /** Raw entries of a list field as typed, blanks included. */
+    function readList(key) {
+      return readInputs(key).map((input) => String(input.value));
+    }
+
     /** Current values from the form, merged with defaults and normalized. */
     function collect() {
       const type = getType();
       const raw = {};
+      workoutTypes
+        .getFields(type)
+        .filter((key) => fields.isListKey(key))
+        .forEach((key) => {
+          raw[key] = fields.sanitizeList(key, readList(key));
+        });
+      // sequences and blocks have no inputs; the remembered value is current
+      workoutTypes
+        .getFields(type)
+        .filter((key) => fields.isSequenceKey(key) || fields.isBlocksKey(key))
+        .forEach((key) => {
+          raw[key] = remembered(type)[key];
+        });
       $$("[data-key]", els.dynamicFields).forEach((input) => {
         const key = input.dataset.key;
         if (fields.isNumericKey(key)) {
@@ -239,6 +471,16 @@
       return merged;
     }
 
+    /** Validation messages under the fields (see WT.config.validate). */
+    function renderIssues(issues = []) {
+      const el = els.configIssues;
+      if (!el) return;
+      el.innerHTML = issues
+        .map((issue) => `<span class="block">${escapeHtml(issue)}</span>`)
+        .join("");
+      el.classList.toggle("hidden", issues.length === 0);
+    }
+
     function setType(type) {
       if (!workoutTypes.isSupported(type)) return false;
       if (els.workoutType) els.workoutType.value = type;
@@ -249,6 +491,7 @@
     return {
       render,
       renderTypeOptions,
+      renderIssues,
       collect,
       apply,
       getType,
@@ -8,17 +8,30 @@
   const byId = (id) => document.getElementById(id);
 
   const ELEMENT_IDS = [
+    "actionBtn",
+    "adjustMinusBtn",
+    "adjustPlusBtn",
     "appRoot",
     "autoRestartToggle",
     "backToSelectBtn",
+    "configIssues",
     "configSummary",
     "copyLinkBtn",
+    "cueSettingsBtn",
     "dynamicFields",
+    "editSequenceBtn",
+    "editorAddBtn",
+    "editorCancelBtn",
+    "editorList",
+    "editorSaveBtn",
+    "editorTotal",
+    "extendRestBtn",
     "goToTimerBtn",
     "importStatus",
     "importUrlBtn",
     "importUrlInput",
     "intervalLabel",
+    "intervalTarget",
     "liveRegion",
     "mainTime",
     "markBtn",
@@ -29,27 +42,39 @@
     "modalRoot",
     "modalTitle",
     "nextInterval",
+    "notationError",
+    "notationInput",
+    "notationLoadBtn",
     "pauseBtn",
     "pinWorkoutBtn",
     "pinnedCountBadge",
     "pinnedEmptyState",
     "pinnedPresets",
     "presetSelect",
+    "previousBtn",
     "progressBar",
     "resetBtn",
     "roundCount",
+    "roundCounter",
     "roundInfo",
     "roundLog",
+    "sampleFileInput",
+    "sampleList",
     "savePresetBtn",
     "scaleMinusBtn",
     "scalePlusBtn",
     "scaleResetBtn",
     "scaleValue",
     "screenConfig",
+    "screenEditor",
     "screenSelect",
     "screenTimer",
     "sequencePreview",
     "skipBtn",
+    "soundDeleteBtn",
+    "soundEvents",
+    "soundProfileSelect",
+    "soundSaveBtn",
     "soundToggle",
     "startBtn",
     "statusBadges",
@@ -0,0 +1,173 @@
+/*
+ * The sequence editor screen: one row per interval with its label, type,
+ * duration and count-up / wait-for-Next switches, plus insert / duplicate / delete and
+ * reordering by drag & drop or the ↑ / ↓ buttons.
+ *
+ * The list operations live in WT.sequenceEdit; this module only renders the
+ * current list and hands the result to `onSave`.
+ */
+(function (root) {
+  const { els, $$, setText, escapeHtml } = root.WT.dom;
+  const { sequenceEdit, intervals, time } = root.WT;
+
+  const TYPE_LABELS = {
+    work: "Work",
+    rest: "Rest",
+    prep: "Prep",
+    cooldown: "Cool Down",
+  };
+
+  function opButton(op, index, text, label) {
+    return `<button type="button" class="btn-subtle text-xs" data-op="${op}" data-index="${index}" aria-label="${escapeHtml(label)}">${text}</button>`;
+  }
+
+  function rowHtml(interval, index, count) {
+    const position = `interval ${index + 1}`;
+    const types = sequenceEdit.INTERVAL_TYPES.map(
+      (type) =>
+        `<option value="${type}" ${type === interval.type ? "selected" : ""}>${TYPE_LABELS[type]}</option>`,
+    ).join("");
+    const countUp = interval.mode === "up";
+    const manual = countUp && interval.manual === true;
+    const durationLabel = manual ? "Planned time" : countUp ? "Soft limit" : "Duration";
+    return `<li class="editor-row seq-${interval.type}" draggable="true" data-row="${index}">
+        <span class="editor-handle" aria-hidden="true">⋮⋮</span>
+        <input type="text" data-edit="label" data-index="${index}" value="${escapeHtml(interval.label)}" maxlength="40" class="field text-sm flex-1 min-w-[8rem]" aria-label="Label of ${position}" />
+        <select data-edit="type" data-index="${index}" class="field text-sm" aria-label="Type of ${position}">${types}</select>
+        <input type="number" inputmode="numeric" data-edit="duration" data-index="${index}" min="${countUp ? 0 : 1}" max="${sequenceEdit.MAX_DURATION}" value="${interval.duration}" class="field text-sm w-20" aria-label="${durationLabel} of ${position} in seconds" />
+        <label class="text-xs flex items-center gap-1"><input type="checkbox" data-edit="countUp" data-index="${index}" ${countUp ? "checked" : ""} /> Count up</label>
+        <label class="text-xs flex items-center gap-1"><input type="checkbox" data-edit="manual" data-index="${index}" ${manual ? "checked" : ""} /> Wait for Next</label>
+        <span class="flex gap-1">
+          ${index > 0 ? opButton("up", index, "↑", `Move ${position} up`) : ""}
+          ${index < count - 1 ? opButton("down", index, "↓", `Move ${position} down`) : ""}
+          ${opButton("insert", index, "+", `Insert after ${position}`)}
+          ${opButton("duplicate", index, "⧉", `Duplicate ${position}`)}
+          ${opButton("remove", index, "×", `Delete ${position}`)}
+        </span>
+      </li>`;
+  }
+
+  function create({ onSave = () => {}, onCancel = () => {} } = {}) {
+    let list = [];
+    /** Row index being dragged, null when no drag is in progress. */
+    let dragFrom = null;
+
+    function renderTotal() {
+      const total = intervals.totalDuration(sequenceEdit.toSequence(list));
+      setText(
+        els.editorTotal,
+        `${list.length} interval${list.length === 1 ? "" : "s"} • ${time.formatTime(total)}`,
+      );
+    }
+
+    function apply(next) {
+      list = next;
+      render();
+    }
+
+    function runOp(op, index) {
+      if (op === "up") apply(sequenceEdit.move(list, index, index - 1));
+      else if (op === "down") apply(sequenceEdit.move(list, index, index + 1));
+      else if (op === "insert") apply(sequenceEdit.insert(list, index + 1));
+      else if (op === "duplicate") apply(sequenceEdit.duplicate(list, index));
+      else if (op === "remove") apply(sequenceEdit.remove(list, index));
+    }
+
+    function attachListeners() {
+      // typing keeps the row in place (and the focus); type/count-up re-render
+      $$("[data-edit]", els.editorList).forEach((control) => {
+        const index = parseInt(control.dataset.index, 10);
+        const field = control.dataset.edit;
+        if (field === "label" || field === "duration") {
+          control.addEventListener("input", () => {
+            list = sequenceEdit.update(list, index, { [field]: control.value });
+            renderTotal();
+          });
+        } else if (field === "type") {
+          control.addEventListener("change", () =>
+            apply(sequenceEdit.update(list, index, { type: control.value })),
+          );
+        } else if (field === "countUp") {
+          control.addEventListener("change", () =>
+            apply(
+              sequenceEdit.update(list, index, {
+                mode: control.checked ? "up" : "down",
+              }),
+            ),
+          );
+        } else if (field === "manual") {
+          // waiting for Next is a kind of count-up
+          control.addEventListener("change", () =>
+            apply(
+              sequenceEdit.update(
+                list,
+                index,
+                control.checked ? { mode: "up", manual: true } : { manual: false },
+              ),
+            ),
+          );
+        }
+      });
+      $$("[data-op]", els.editorList).forEach((btn) => {
+        btn.addEventListener("click", () =>
+          runOp(btn.dataset.op, parseInt(btn.dataset.index, 10)),
+        );
+      });
+    }
+
+    function render() {
+      if (!els.editorList) return;
+      els.editorList.innerHTML = list
+        .map((interval, index) => rowHtml(interval, index, list.length))
+        .join("");
+      attachListeners();
+      renderTotal();
+    }
+
+    /** Start editing a copy of `items` (editable or built intervals). */
+    function open(items = []) {
+      list = sequenceEdit.fromSequence(items);
+      render();
+    }
+
+    // Rows are re-rendered after every drop, so drag & drop is delegated to
+    // the list instead of being bound per row.
+    function bindDragAndDrop() {
+      const rowOf = (event) => event.target?.closest?.("[data-row]") ?? null;
+      els.editorList?.addEventListener("dragstart", (event) => {
+        const row = rowOf(event);
+        if (!row) return;
+        dragFrom = parseInt(row.dataset.row, 10);
+        event.dataTransfer?.setData("text/plain", String(dragFrom));
+      });
+      els.editorList?.addEventListener("dragover", (event) => {
+        if (dragFrom !== null && rowOf(event)) event.preventDefault();
+      });
+      els.editorList?.addEventListener("drop", (event) => {
+        const row = rowOf(event);
+        if (dragFrom === null || !row) return;
+        event.preventDefault();
+        const to = parseInt(row.dataset.row, 10);
+        const from = dragFrom;
+        dragFrom = null;
+        apply(sequenceEdit.move(list, from, to));
+      });
+      els.editorList?.addEventListener("dragend", () => {
+        dragFrom = null;
+      });
+    }
+
+    function init() {
+      bindDragAndDrop();
+      els.editorAddBtn?.addEventListener("click", () =>
+        apply(sequenceEdit.insert(list, list.length)),
+      );
+      els.editorSaveBtn?.addEventListener("click", () => onSave(list.slice()));
+      els.editorCancelBtn?.addEventListener("click", () => onCancel());
+    }
+
+    return { init, open, render, current: () => list.slice() };
+  }
+
+  root.WT.editorView = { create };
+})(typeof globalThis !== "undefined" ? globalThis : this);
@@ -1,5 +1,6 @@
 /*
- * User feedback channels: screen-reader announcements, toasts, beeps, voice.
+ * User feedback channels: screen-reader announcements, toasts, beeps, voice,
+ * vibration.
  */
 (function (root) {
   const { els } = root.WT.dom;
@@ -30,13 +31,25 @@
   class Beeper {
     constructor() {
       this.ctx = null;
+      /** Decoded clips of the user's by name, see core/samples.js. */
+      this.samples = new Map();
+      /** Stored clips waiting for the AudioContext to be decoded. */
+      this.pending = new Map();
+      /** The first-gesture listener while one is registered, else null. */
+      this.unlock = null;
     }
+    /**
+     * The AudioContext, created on first use. A context made outside a user
+     * gesture starts suspended, so every use also asks it to resume.
+     */
     _ensure() {
       if (!this.ctx) {
         const Ctx = window.AudioContext || window.webkitAudioContext;
         if (!Ctx) return null;
         this.ctx = new Ctx();
+        this._decodePending();
       }
+      if (this.ctx.state === "suspended") this.ctx.resume().catch(() => {});
       return this.ctx;
     }
     beep({ freq = 660, duration = 0.12, type = "sine", volume = 0.3 } = {}) {
@@ -52,10 +65,102 @@
       osc.start();
       osc.stop(ctx.currentTime + duration);
     }
-    /** Two-tone cue used when an interval starts. */
-    sequence() {
-      this.beep({ freq: 660 });
-      setTimeout(() => this.beep({ freq: 880 }), 120);
+    /** One short burst of filtered noise, like a wooden clapper. */
+    _clapOnce(ctx, volume) {
+      const length = Math.floor(ctx.sampleRate * 0.06);
+      const buffer = ctx.createBuffer(1, length, ctx.sampleRate);
+      const data = buffer.getChannelData(0);
+      for (let i = 0; i < length; i++) {
+        data[i] = (Math.random() * 2 - 1) * (1 - i / length) ** 3;
+      }
+      const source = ctx.createBufferSource();
+      const filter = ctx.createBiquadFilter();
+      const gain = ctx.createGain();
+      source.buffer = buffer;
+      filter.type = "bandpass";
+      filter.frequency.value = 1800;
+      gain.gain.value = volume;
+      source.connect(filter).connect(gain).connect(ctx.destination);
+      source.start();
+    }
+    /** Two quick claps: the "10 seconds left" warning of a fight round. */
+    clap({ volume = 0.9 } = {}) {
+      const ctx = this._ensure();
+      if (!ctx) return;
+      this._clapOnce(ctx, volume);
+      setTimeout(() => this._clapOnce(ctx, volume), 140);
+    }
+    async _decode(name, data) {
+      try {
+        // decoding detaches the buffer, so the caller's copy stays usable
+        this.samples.set(name, await this.ctx.decodeAudioData(data.slice(0)));
+        return true;
+      } catch {
+        return false;
+      }
+    }
+    _decodePending() {
+      this.pending.forEach((data, name) => this._decode(name, data));
+      this.pending.clear();
+    }
+    /**
+     * Keep a stored clip for play() without touching the audio yet: it is
+     * decoded once the AudioContext exists, at the latest on the next tap
+     * or key press, so page load never creates a context.
+     */
+    keepSample(name, data) {
+      this.pending.set(name, data);
+      if (this.ctx) {
+        this._decodePending();
+        return;
+      }
+      // one listener for all the clips kept before the first gesture
+      if (this.unlock) return;
+      this.unlock = () => {
+        ["pointerdown", "keydown"].forEach((type) =>
+          window.removeEventListener(type, this.unlock, true),
+        );
+        this.unlock = null;
+        // creating the context decodes the pending clips and resumes it
+        this._ensure();
+      };
+      ["pointerdown", "keydown"].forEach((type) =>
+        window.addEventListener(type, this.unlock, true),
+      );
+    }
+    /** Decode a clip chosen by the user now; resolves false when it cannot be. */
+    async addSample(name, data) {
+      if (!this._ensure()) return false;
+      return this._decode(name, data);
+    }
+    removeSample(name) {
+      this.samples.delete(name);
+      this.pending.delete(name);
+    }
+    /** Clips play at their recorded level, whatever the tone's volume. */
+    _playBuffer(buffer) {
+      const ctx = this._ensure();
+      if (!ctx) return;
+      const source = ctx.createBufferSource();
+      source.buffer = buffer;
+      source.connect(ctx.destination);
+      source.start();
+    }
+    /**
+     * A sound profile tone: its clip when it names a decoded one,
+     * otherwise its frequencies one after the other.
+     */
+    play({ freqs = [660], duration = 0.12, type = "sine", volume = 0.3, sample } = {}) {
+      const buffer = sample ? this.samples.get(sample) : null;
+      if (buffer) {
+        this._playBuffer(buffer);
+        return;
+      }
+      freqs.forEach((freq, index) => {
+        const note = () => this.beep({ freq, duration, type, volume });
+        if (index === 0) note();
+        else setTimeout(note, index * duration * 1000);
+      });
     }
   }
 
@@ -68,8 +173,12 @@
     if (isSoundEnabled()) beeper.beep(options);
   }
 
-  function beepSequence() {
-    if (isSoundEnabled()) beeper.sequence();
+  function playTone(tone) {
+    if (isSoundEnabled()) beeper.play(tone);
+  }
+
+  function clap() {
+    if (isSoundEnabled()) beeper.clap();
   }
 
   function speak(text) {
@@ -82,14 +191,21 @@
     window.speechSynthesis.speak(utterance);
   }
 
+  /** A short buzz on devices that vibrate; ignored elsewhere. */
+  function vibrate(pattern = 200) {
+    window.navigator?.vibrate?.(pattern);
+  }
+
   root.WT.feedback = {
     announce,
     showToast,
     Beeper,
     beeper,
     beep,
-    beepSequence,
+    playTone,
+    clap,
     speak,
+    vibrate,
     isSoundEnabled,
     isVoiceEnabled,
   };
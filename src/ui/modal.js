@@ -181,6 +181,51 @@
     });
   }
 
+  /**
+   * One text field per interval type, e.g. the default cue points.
+   * `fields` maps a key to its label; resolves with { key: text } or null.
+   */
+  function fieldsDialog({
+    title,
+    message = "",
+    fields = {},
+    values = {},
+    placeholder = "",
+    confirmText = "Save",
+    cancelText = "Cancel",
+  } = {}) {
+    const inputs = {};
+    return open({
+      title,
+      message,
+      confirmText,
+      cancelText,
+      focus: "extra",
+      renderExtra: (container) => {
+        Object.entries(fields).forEach(([key, label]) => {
+          const row = document.createElement("label");
+          row.className = "flex flex-col gap-1 mb-2";
+          row.textContent = label;
+          const input = document.createElement("input");
+          input.type = "text";
+          input.className = "field text-sm";
+          input.placeholder = placeholder;
+          input.value = values[key] ?? "";
+          row.appendChild(input);
+          container.appendChild(row);
+          inputs[key] = input;
+        });
+        const first = Object.values(inputs)[0];
+        if (first) setTimeout(() => first.focus(), 40);
+      },
+    }).then((confirmed) => {
+      if (!confirmed) return null;
+      return Object.fromEntries(
+        Object.entries(inputs).map(([key, input]) => [key, input.value.trim()]),
+      );
+    });
+  }
+
   function init() {
     els.modalOk?.addEventListener("click", () => settle(true));
     els.modalCancel?.addEventListener("click", () => settle(false));
@@ -200,6 +245,7 @@
     confirmDialog,
     promptDialog,
     pinConfigDialog,
+    fieldsDialog,
     PIN_EMOJIS,
   };
 })(typeof globalThis !== "undefined" ? globalThis : this);
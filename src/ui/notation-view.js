@@ -0,0 +1,46 @@
+/*
+ * Typed workouts: the notation box on the Select screen. Parse errors show
+ * under the box with their line and column; a good parse goes to `onLoad`
+ * as the intervals of a sequence workout (see core/notation.js).
+ */
+(function (root) {
+  const { els } = root.WT.dom;
+  const { notation } = root.WT;
+  const { announce } = root.WT.feedback;
+
+  function showError(message) {
+    if (!els.notationError) return;
+    els.notationError.textContent = message;
+    els.notationError.style.display = message ? "block" : "none";
+  }
+
+  function create({ onLoad = () => false } = {}) {
+    function load() {
+      const { intervals, error } = notation.parse(els.notationInput?.value);
+      if (error) {
+        const message = notation.formatError(error);
+        showError(message);
+        announce(message);
+        return false;
+      }
+      showError("");
+      return onLoad(intervals);
+    }
+
+    function init() {
+      showError("");
+      els.notationLoadBtn?.addEventListener("click", load);
+      els.notationInput?.addEventListener("keydown", (event) => {
+        // Enter alone starts a new line; Ctrl/Cmd+Enter loads
+        if (event.key !== "Enter" || !(event.ctrlKey || event.metaKey)) return;
+        event.preventDefault();
+        load();
+      });
+      els.notationInput?.addEventListener("input", () => showError(""));
+    }
+
+    return { init, load };
+  }
+
+  root.WT.notationView = { create };
+})(typeof globalThis !== "undefined" ? globalThis : this);
@@ -53,7 +53,9 @@
 
     async function pinCurrent(cfg) {
       const result = await pinConfigDialog({
-        defaultName: cfg.type ? cfg.type.toUpperCase() : "Workout",
+        defaultName: cfg.type
+          ? configCore.displayName(cfg).toUpperCase()
+          : "Workout",
         defaultEmoji: workoutTypes.getEmoji(cfg.type),
       });
       if (!result) return;
@@ -1,11 +1,11 @@
 /*
- * Screen switching between Select / Config / Timer.
+ * Screen switching between Select / Config / Timer / Sequence Editor.
  */
 (function (root) {
   const { els } = root.WT.dom;
   const { announce } = root.WT.feedback;
 
-  const SCREEN_IDS = ["screenSelect", "screenConfig", "screenTimer"];
+  const SCREEN_IDS = ["screenSelect", "screenConfig", "screenTimer", "screenEditor"];
   let current = null;
 
   function show(id, { scrollTop = false, smooth = true } = {}) {
@@ -0,0 +1,266 @@
+/*
+ * Sound profiles: the profile <select> on the Timer screen and one row per
+ * event (waveform, frequencies, length, volume, clip, ▶ preview). Edits
+ * apply right away; "Save as" keeps them as a profile of the user's own (see
+ * core/sound-profiles.js).
+ *
+ * Below the events: the audio clips loaded from disk. They are kept in
+ * IndexedDB and handed to the Beeper when the page loads, which decodes
+ * them once audio is first used.
+ */
+(function (root) {
+  const { els, escapeHtml } = root.WT.dom;
+  const { storage, soundProfiles, samples } = root.WT;
+  const { announce, showToast, beeper } = root.WT.feedback;
+  const { promptDialog, confirmDialog } = root.WT.modal;
+  const { SOUND_EVENTS, WAVEFORMS, PROFILES } = soundProfiles;
+
+  function option(value, text, selected) {
+    return `<option value="${escapeHtml(value)}" ${selected ? "selected" : ""}>${escapeHtml(text)}</option>`;
+  }
+
+  /** "Synth" plus every clip; a clip deleted since stays listed as missing. */
+  function sampleOptions(tone, names) {
+    const missing =
+      tone.sample && !names.includes(tone.sample)
+        ? option(tone.sample, `${tone.sample} (missing)`, true)
+        : "";
+    return (
+      option("", "Synth", !tone.sample) +
+      names.map((name) => option(name, name, name === tone.sample)).join("") +
+      missing
+    );
+  }
+
+  function eventRowHtml(event, tone, names) {
+    const label = SOUND_EVENTS[event];
+    const waves = WAVEFORMS.map((wave) => option(wave, wave, wave === tone.type)).join("");
+    return `<li class="flex flex-wrap items-center gap-2" data-event="${event}">
+        <span class="text-xs w-28">${label}</span>
+        <select data-tone="type" class="field text-xs" aria-label="${label} waveform">${waves}</select>
+        <input type="text" data-tone="freqs" value="${tone.freqs.join(" ")}" class="field text-xs w-28" aria-label="${label} frequencies in Hz" />
+        <input type="number" inputmode="numeric" data-tone="duration" min="30" max="1500" step="10" value="${Math.round(tone.duration * 1000)}" class="field text-xs w-20" aria-label="${label} tone length in milliseconds" />
+        <input type="number" inputmode="numeric" data-tone="volume" min="1" max="100" value="${Math.round(tone.volume * 100)}" class="field text-xs w-16" aria-label="${label} volume in percent" />
+        <select data-tone="sample" class="field text-xs" aria-label="${label} clip">${sampleOptions(tone, names)}</select>
+        <button type="button" class="btn-subtle text-xs" data-preview="${event}" aria-label="Preview ${label}">▶</button>
+      </li>`;
+  }
+
+  /** Built-in profiles keep their names; "classic" and "Classic" alike. */
+  function isBuiltInName(name) {
+    const lower = name.toLowerCase();
+    return Object.entries(PROFILES).some(
+      ([id, profile]) => id === lower || profile.name.toLowerCase() === lower,
+    );
+  }
+
+  function sampleRowHtml(name) {
+    return `<li class="flex items-center gap-2 text-xs" data-sample="${escapeHtml(name)}">
+        <span class="flex-1 truncate">${escapeHtml(name)}</span>
+        <button type="button" class="btn-subtle text-xs" data-sample-op="play" aria-label="Play ${escapeHtml(name)}">▶</button>
+        <button type="button" class="btn-subtle text-xs" data-sample-op="remove" aria-label="Delete ${escapeHtml(name)}">×</button>
+      </li>`;
+  }
+
+  function create() {
+    const store = storage.createSoundStore(window.localStorage);
+    const clips = samples.createSampleStore(window.indexedDB);
+    let settings = store.get();
+    /** The profile in use, including edits not saved yet. */
+    let profile = soundProfiles.resolve(settings);
+    /** Names of the stored clips. */
+    let sampleNames = [];
+
+    function renderSelect() {
+      if (!els.soundProfileSelect) return;
+      els.soundProfileSelect.innerHTML =
+        Object.entries(PROFILES)
+          .map(([id, builtIn]) => option(id, builtIn.name, id === settings.active))
+          .join("") +
+        Object.keys(settings.custom)
+          .map((name) => option(name, name, name === settings.active))
+          .join("");
+      if (els.soundDeleteBtn) {
+        els.soundDeleteBtn.disabled = !Object.hasOwn(settings.custom, settings.active);
+      }
+    }
+
+    function renderEvents() {
+      if (!els.soundEvents) return;
+      els.soundEvents.innerHTML = Object.keys(SOUND_EVENTS)
+        .map((event) => eventRowHtml(event, profile[event], sampleNames))
+        .join("");
+    }
+
+    function renderSamples() {
+      if (!els.sampleList) return;
+      els.sampleList.innerHTML = sampleNames.map(sampleRowHtml).join("");
+    }
+
+    function render() {
+      renderSelect();
+      renderEvents();
+      renderSamples();
+    }
+
+    function select(active) {
+      settings = store.set({ ...settings, active });
+      profile = soundProfiles.resolve(settings);
+      render();
+      announce(`Sound profile: ${profile.name}`);
+    }
+
+    /** Read one event row back into the profile; bad input is flagged. */
+    function editRow(row) {
+      const event = row.dataset.event;
+      const read = (field) => row.querySelector(`[data-tone="${field}"]`);
+      const freqsInput = read("freqs");
+      const freqs = soundProfiles.parseFrequencies(freqsInput.value);
+      freqsInput.setAttribute("aria-invalid", freqs ? "false" : "true");
+      if (!freqs) return;
+      profile = {
+        ...profile,
+        [event]: soundProfiles.sanitizeTone(
+          {
+            type: read("type").value,
+            freqs,
+            duration: Number(read("duration").value) / 1000,
+            volume: Number(read("volume").value) / 100,
+            sample: read("sample").value,
+          },
+          profile[event],
+        ),
+      };
+    }
+
+    async function saveAs() {
+      const current = Object.hasOwn(settings.custom, settings.active) ? settings.active : "";
+      const name = await promptDialog({
+        title: "Save Sound Profile",
+        label: "Profile Name",
+        placeholder: "e.g. Garage Gym",
+        defaultValue: current,
+        confirmText: "Save",
+        validate: (value) => value.length > 0 && !isBuiltInName(value),
+      });
+      if (!name) return;
+      const custom = { ...settings.custom };
+      if (!Object.hasOwn(custom, name) && Object.keys(custom).length >= soundProfiles.MAX_CUSTOM) {
+        announce(`At most ${soundProfiles.MAX_CUSTOM} sound profiles`);
+        return;
+      }
+      custom[name] = { ...profile, name };
+      settings = store.set({ active: name, custom });
+      profile = soundProfiles.resolve(settings);
+      renderSelect();
+      announce("Sound profile saved");
+    }
+
+    async function removeCurrent() {
+      const name = settings.active;
+      if (!Object.hasOwn(settings.custom, name)) return;
+      const ok = await confirmDialog({
+        title: "Delete Sound Profile",
+        message: `Delete "${name}"?`,
+        confirmText: "Delete",
+      });
+      if (!ok) return;
+      const custom = { ...settings.custom };
+      delete custom[name];
+      settings = store.set({ active: soundProfiles.DEFAULT_PROFILE, custom });
+      profile = soundProfiles.resolve(settings);
+      render();
+      announce("Sound profile deleted");
+    }
+
+    function report(message) {
+      showToast(message, 3000);
+      announce(message);
+    }
+
+    /** Hand every stored clip to the Beeper; one that fails plays the synth. */
+    async function loadSamples() {
+      sampleNames = await clips.names();
+      await Promise.all(
+        sampleNames.map(async (name) => {
+          const clip = await clips.get(name).catch(() => null);
+          if (clip) beeper.keepSample(name, clip.data);
+        }),
+      );
+      render();
+    }
+
+    async function addSample(file) {
+      const error = samples.checkFile(file);
+      if (error) return report(error);
+      if (sampleNames.length >= samples.MAX_SAMPLES) {
+        return report(`At most ${samples.MAX_SAMPLES} clips`);
+      }
+      const name = samples.sampleName(file.name, sampleNames);
+      const data = await file.arrayBuffer();
+      if (!(await beeper.addSample(name, data))) {
+        return report("This file could not be decoded");
+      }
+      try {
+        await clips.put({ name, type: file.type, data });
+      } catch {
+        beeper.removeSample(name);
+        return report("Clips cannot be saved in this browser");
+      }
+      sampleNames = [...sampleNames, name].sort();
+      render();
+      report(`Clip "${name}" added`);
+    }
+
+    async function removeSample(name) {
+      const ok = await confirmDialog({
+        title: "Delete Clip",
+        message: `Delete "${name}"? Sounds using it fall back to the synth.`,
+        confirmText: "Delete",
+      });
+      if (!ok) return;
+      await clips.remove(name).catch(() => {});
+      beeper.removeSample(name);
+      sampleNames = sampleNames.filter((other) => other !== name);
+      render();
+      announce("Clip deleted");
+    }
+
+    function init() {
+      els.soundProfileSelect?.addEventListener("change", (event) =>
+        select(event.target.value),
+      );
+      // rows are re-rendered with every profile switch, so the list delegates
+      els.soundEvents?.addEventListener("change", (event) => {
+        const row = event.target?.closest?.("[data-event]");
+        if (row) editRow(row);
+      });
+      els.soundEvents?.addEventListener("click", (event) => {
+        const button = event.target?.closest?.("[data-preview]");
+        // a preview is asked for, so it plays even with Sound off
+        if (button) beeper.play(profile[button.dataset.preview]);
+      });
+      els.soundSaveBtn?.addEventListener("click", saveAs);
+      els.soundDeleteBtn?.addEventListener("click", removeCurrent);
+      els.sampleFileInput?.addEventListener("change", async (event) => {
+        const [file] = event.target.files ?? [];
+        if (file) await addSample(file);
+        // the same file may be chosen again after deleting its clip
+        event.target.value = "";
+      });
+      els.sampleList?.addEventListener("click", (event) => {
+        const button = event.target?.closest?.("[data-sample-op]");
+        const name = button?.closest?.("[data-sample]")?.dataset.sample;
+        if (!name) return;
+        if (button.dataset.sampleOp === "play") beeper.play({ sample: name });
+        else removeSample(name);
+      });
+      render();
+      loadSamples();
+    }
+
+    return { init, render, current: () => profile };
+  }
+
+  root.WT.soundView = { create };
+})(typeof globalThis !== "undefined" ? globalThis : this);
@@ -19,6 +19,27 @@
     toggle(els.mainTime, "soft-limit-exceeded", exceeded);
   }
 
+  /** A manual interval is on: the dial pulses until "Next" is pressed. */
+  function setWaiting(waiting) {
+    toggle(document.body, "waiting-next", waiting);
+  }
+
+  /** Brief full-screen flash for a visual cue point (fight warning). */
+  function flash() {
+    toggle(document.body, "cue-flash", false);
+    // a reflow restarts the animation when two cues come close together
+    void document.body.offsetWidth;
+    toggle(document.body, "cue-flash", true);
+    clearTimeout(flash._handle);
+    flash._handle = setTimeout(() => toggle(document.body, "cue-flash", false), 700);
+  }
+
+  /** Rep target under the interval label; hidden when there is none. */
+  function setTarget(text) {
+    setText(els.intervalTarget, text);
+    toggle(els.intervalTarget, "hidden", !text);
+  }
+
   function setProgress(percent) {
     if (els.progressBar) els.progressBar.style.width = `${percent}%`;
   }
@@ -35,8 +56,8 @@
       els.sequencePreview,
       items
         .map(
-          (item) =>
-            `<li class="seq-item seq-${item.variant}${item.current ? " current" : ""}"><span class="seq-dot"></span><span class="seq-label">${escapeHtml(
+          (item, index) =>
+            `<li class="seq-item seq-${item.variant}${item.current ? " current" : ""}" data-index="${index}" tabindex="0" role="button" title="Jump here"><span class="seq-dot"></span><span class="seq-label">${escapeHtml(
               item.label,
             )}</span><span class="seq-time">${item.timeText}</span></li>`,
         )
@@ -56,7 +77,7 @@
     const rows = configCore.summaryRows(cfg);
     setHTML(
       els.configSummary,
-      `<li><strong>Type:</strong> ${escapeHtml(cfg.type)}</li>` +
+      `<li><strong>Type:</strong> ${escapeHtml(configCore.displayName(cfg))}</li>` +
         rows
           .map(
             (row) =>
@@ -69,12 +90,18 @@
     );
   }
 
+  /** Total duration after the sequence changed under a running workout. */
+  function renderTotal(sequence, meta) {
+    setText(els.totalDuration, presenter.readyView(sequence, meta).totalDurationText);
+  }
+
   /** Idle state right after (re)building a sequence. */
   function renderReady(sequence, meta, cfg) {
     const view = presenter.readyView(sequence, meta);
     setText(els.roundCount, view.roundCountText);
     setText(els.totalDuration, view.totalDurationText);
     setText(els.intervalLabel, view.label);
+    setTarget(view.targetText);
     setText(els.mainTime, view.mainTime);
     setText(els.roundInfo, view.roundInfo);
     setText(els.nextInterval, view.nextText);
@@ -90,10 +117,12 @@
   function renderInterval(interval, { sequence, meta, value }) {
     const view = presenter.intervalView(interval, { sequence, meta, value });
     setText(els.intervalLabel, view.label);
+    setTarget(view.targetText);
     setText(els.mainTime, view.mainTime);
     setText(els.roundInfo, view.roundInfo);
     setText(els.nextInterval, view.nextText);
     setSoftLimitExceeded(view.softLimitExceeded);
+    setWaiting(view.waiting);
     setPhase(view.phase);
     highlightSequenceItem(interval.index);
   }
@@ -114,12 +143,14 @@
     return view;
   }
 
-  function renderFinished() {
-    setText(els.intervalLabel, "Finished");
-    setText(els.nextInterval, "");
-    setText(els.mainTime, "00:00");
+  function renderFinished(view = presenter.finishedView()) {
+    setText(els.intervalLabel, view.label);
+    setTarget(view.targetText);
+    setText(els.nextInterval, view.resultText);
+    setText(els.mainTime, view.mainTime);
     setProgress(100);
     setSoftLimitExceeded(false);
+    setWaiting(false);
     setPhase(null);
   }
 
@@ -127,6 +158,7 @@
   function clearRunState() {
     setProgress(0);
     setSoftLimitExceeded(false);
+    setWaiting(false);
     setPhase(null);
     setHTML(els.roundLog, "");
   }
@@ -141,16 +173,30 @@
     if (els.resetBtn) els.resetBtn.disabled = view.reset.disabled;
     if (els.markBtn) els.markBtn.disabled = view.mark.disabled;
     if (els.skipBtn) els.skipBtn.disabled = view.skip.disabled;
+    if (els.previousBtn) els.previousBtn.disabled = view.previous.disabled;
+    [els.adjustMinusBtn, els.adjustPlusBtn, els.extendRestBtn].forEach((btn) => {
+      if (btn) btn.disabled = view.adjust.disabled;
+    });
   }
 
-  /** Prepend one entry to the round log (newest first). */
-  function logEntry(interval, options = {}) {
+  function renderCounter(view) {
+    toggle(els.roundCounter, "hidden", view.hidden);
+    setText(els.roundCounter, view.text);
+  }
+
+  /** The workout specific action button ("+1 Round", ...). */
+  function renderAction(view) {
+    if (!els.actionBtn) return;
+    toggle(els.actionBtn, "hidden", view.hidden);
+    els.actionBtn.disabled = view.disabled;
+    els.actionBtn.textContent = view.label;
+  }
+
+  function prependLogItem(view) {
     if (!els.roundLog) return;
-    if (!presenter.shouldLog(interval, options)) return;
-    const view = presenter.logEntryView(interval, options);
     const li = document.createElement("li");
     li.innerHTML =
-      `<span class="${view.iconClass}">${view.icon}</span> <span>${escapeHtml(view.label)}</span>` +
+      `<span class="${escapeHtml(view.iconClass)}">${escapeHtml(view.icon)}</span> <span>${escapeHtml(view.label)}</span>` +
       view.details
         .map(
           (detail) =>
@@ -162,11 +208,37 @@
     els.roundLog.scrollTop = 0;
   }
 
+  /**
+   * Prepend one entry to the round log (newest first). Returns the entry's
+   * view, or null when the interval is not worth logging.
+   */
+  function logEntry(interval, options = {}) {
+    if (!presenter.shouldLog(interval, options)) return null;
+    const view = presenter.logEntryView(interval, options);
+    prependLogItem(view);
+    return view;
+  }
+
+  /**
+   * Rebuild the round log from saved entries, oldest first. Each is built
+   * again from its { interval, options }, never from stored markup.
+   */
+  function restoreLog(entries = []) {
+    setHTML(els.roundLog, "");
+    entries.forEach(({ interval, options }) =>
+      prependLogItem(presenter.logEntryView(interval, options)),
+    );
+  }
+
   root.WT.timerView = {
     renderReady,
     renderInterval,
     renderTick,
+    renderTotal,
     renderFinished,
+    flash,
+    renderCounter,
+    renderAction,
     renderSequence,
     renderSummary,
     renderBadges,
@@ -177,5 +249,6 @@
     setSoftLimitExceeded,
     highlightSequenceItem,
     logEntry,
+    restoreLog,
   };
 })(typeof globalThis !== "undefined" ? globalThis : this);
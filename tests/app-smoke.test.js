@@ -8,7 +8,7 @@ const assert = require("node:assert/strict");
 const fs = require("node:fs");
 const path = require("node:path");
 
-const { loadBundle, scriptSources } = require("./helpers/fake-dom.js");
+const { FakeElement, loadBundle, scriptSources } = require("./helpers/fake-dom.js");
 
 const ROOT = path.join(__dirname, "..");
 
@@ -35,10 +35,15 @@ test("the bundle boots and exposes every module", () => {
     "time",
     "intervals",
     "fields",
+    "sequenceEdit",
     "workoutTypes",
     "config",
     "shareLink",
+    "notation",
     "durationSplit",
+    "cuePoints",
+    "soundProfiles",
+    "samples",
     "engine",
     "presenter",
     "storage",
@@ -53,6 +58,9 @@ test("the bundle boots and exposes every module", () => {
     "pinnedView",
     "presetsView",
     "shareView",
+    "editorView",
+    "notationView",
+    "soundView",
     "app",
   ].forEach((name) => {
     assert.ok(WT[name], `WT.${name} is missing`);
@@ -108,6 +116,24 @@ test("a shared workout URL builds its sequence and clears the address bar", () =
   assert.equal(replaceStateCalls.length, 1, "the query should be dropped");
 });
 
+test("an alternating EMOM link builds its named rotation", () => {
+  const { WT } = loadBundle({
+    search:
+      "?type=rotation&prep=0&rounds=3&period=60&work=45&exercises=Row&exercises=Rest",
+  });
+
+  assert.deepEqual(
+    WT.app.engine.sequence.map((item) => [item.label, item.duration]),
+    [
+      ["R1 Row", 45],
+      ["R1 Rest", 15],
+      ["R2 Rest", 60],
+      ["R3 Row", 45],
+      ["R3 Rest", 15],
+    ],
+  );
+});
+
 test("an unusable URL falls through to the select screen", () => {
   ["?type=marathon&rounds=5", "?rounds=5&work=30", "?"].forEach((search) => {
     const { element } = loadBundle({ search });
@@ -163,6 +189,481 @@ test("pasting an unusable URL reports an error and changes nothing", () => {
   assert.equal(element("screenSelect").classList.contains("active"), true);
 });
 
+test("a typed workout loads as a sequence and opens the timer", () => {
+  const { WT, element } = loadBundle();
+
+  element("notationInput").value = "prep 5; 3x(20 work/10 rest)";
+  element("notationLoadBtn").dispatch("click", {});
+
+  assert.equal(WT.app.form.getType(), "sequence");
+  assert.equal(WT.app.engine.sequence.length, 7);
+  assert.equal(WT.app.engine.sequence[1].label, "Round 1 Work");
+  assert.equal(element("notationError").textContent, "");
+  assert.equal(element("screenTimer").classList.contains("active"), true);
+});
+
+test("a typed workout with a mistake shows where it is", () => {
+  const { WT, element } = loadBundle();
+  const before = WT.app.engine.sequence.length;
+
+  element("notationInput").value = "prep 5;\n3x(20 work/10 rest";
+  element("notationLoadBtn").dispatch("click", {});
+
+  assert.equal(
+    element("notationError").textContent,
+    'Line 2, column 19: Missing ")" for the "(" at line 2, column 3',
+  );
+  assert.equal(WT.app.engine.sequence.length, before);
+  assert.equal(element("screenSelect").classList.contains("active"), true);
+});
+
+test("clicking a preview item jumps there and logs it", () => {
+  const { WT, element } = loadBundle({
+    search: "?type=tabata&prep=0&rounds=4&work=20&rest=10",
+  });
+  const { engine } = WT.app;
+  assert.ok(element("sequencePreview").innerHTML.includes('data-index="5"'));
+
+  engine.start();
+  const item = { dataset: { index: "5" } };
+  element("sequencePreview").dispatch("click", {
+    target: { closest: () => item },
+  });
+
+  assert.equal(engine.position, 5);
+  assert.equal(element("intervalLabel").textContent, "Round 3 Rest");
+  assert.equal(element("previousBtn").disabled, false);
+  element("previousBtn").dispatch("click", {});
+  assert.equal(engine.position, 4, "right after a jump, back goes one further");
+});
+
+test("a preview jump before Start only moves the starting point", async () => {
+  const { WT, element } = loadBundle({
+    search: "?type=tabata&prep=0&rounds=4&work=20&rest=10",
+  });
+  const { engine } = WT.app;
+  const settle = () => new Promise((resolve) => setTimeout(resolve, 60));
+  await settle();
+  const announced = element("liveRegion").textContent;
+
+  element("sequencePreview").dispatch("click", {
+    target: { closest: () => ({ dataset: { index: "4" } }) },
+  });
+  await settle();
+
+  assert.equal(engine.state, "idle");
+  assert.equal(engine.position, 4);
+  assert.equal(element("intervalLabel").textContent, "Round 3 Work");
+  assert.equal(element("roundLog").children.length, 0, "nothing is logged");
+  assert.equal(element("liveRegion").textContent, announced, "nothing is announced");
+
+  engine.start();
+  assert.equal(engine.current().label, "Round 3 Work");
+  engine.reset();
+});
+
+test("a focused preview item jumps there with Enter or Space", () => {
+  const { WT, element } = loadBundle({
+    search: "?type=tabata&prep=0&rounds=4&work=20&rest=10",
+  });
+  const { engine } = WT.app;
+  assert.ok(element("sequencePreview").innerHTML.includes('data-index="5" tabindex="0"'));
+
+  engine.start();
+  const press = (key, code, index) => {
+    const event = {
+      key,
+      code,
+      target: { closest: () => ({ dataset: { index } }) },
+      preventDefault() {
+        this.prevented = true;
+      },
+      stopPropagation() {
+        this.stopped = true;
+      },
+    };
+    element("sequencePreview").dispatch("keydown", event);
+    return event;
+  };
+
+  const enter = press("Enter", "Enter", "5");
+  assert.equal(engine.position, 5);
+  assert.equal(enter.prevented && enter.stopped, true);
+  const space = press(" ", "Space", "2");
+  assert.equal(engine.position, 2);
+  assert.equal(space.stopped, true);
+  press("s", "KeyS", "7");
+  assert.equal(engine.position, 2, "other keys are left to the shortcuts");
+});
+
+test("the adjust buttons change the interval and the total", () => {
+  const { WT, element } = loadBundle({
+    search: "?type=tabata&prep=0&rounds=4&work=20&rest=10",
+  });
+  const { engine } = WT.app;
+  assert.equal(element("adjustPlusBtn").disabled, true);
+
+  engine.start();
+  element("adjustPlusBtn").dispatch("click", {});
+  assert.equal(engine.current().duration, 30);
+  assert.equal(element("mainTime").textContent, "00:30");
+  assert.equal(element("totalDuration").textContent, "02:10");
+
+  element("extendRestBtn").dispatch("click", {});
+  assert.equal(engine.sequence[1].duration, 25);
+  element("adjustMinusBtn").dispatch("click", {});
+  assert.equal(engine.current().duration, 20);
+  assert.equal(element("totalDuration").textContent, "02:15");
+  engine.reset();
+});
+
+test("the fight warning flashes the screen once per round", () => {
+  const { WT } = loadBundle({
+    search: "?type=fight&prep=0&rounds=2&roundLength=60&rest=30&warning=10",
+  });
+  const { engine } = WT.app;
+  const tick = (remaining) =>
+    engine.emit("tick", { remaining, interval: engine.current(), position: 0 });
+
+  engine.start();
+  tick(11);
+  assert.equal(document.body.classList.contains("cue-flash"), false);
+  tick(9.9);
+  assert.ok(document.body.classList.contains("cue-flash"));
+  engine.reset();
+});
+
+test("saved default cue points play inside matching intervals", () => {
+  const { WT } = loadBundle({
+    search: "?type=hiit&prep=0&warmup=0&rounds=1&work=40&rest=20&cooldown=0",
+    storage: {
+      "workoutTimer.cues.v1": JSON.stringify({ work: [{ halfway: true, vibrate: true }] }),
+    },
+  });
+  const { engine } = WT.app;
+  const buzzes = [];
+  navigator.vibrate = (pattern) => buzzes.push(pattern);
+  const tick = (remaining) =>
+    engine.emit("tick", { remaining, interval: engine.current(), position: 0 });
+
+  engine.start();
+  tick(21);
+  assert.equal(buzzes.length, 0);
+  tick(19.5);
+  tick(18);
+  assert.equal(buzzes.length, 1);
+  engine.reset();
+});
+
+test("the sound panel lists the profiles and opens the saved one", () => {
+  const { WT, element } = loadBundle({
+    storage: {
+      "workoutTimer.sounds.v1": JSON.stringify({
+        active: "Garage",
+        custom: { Garage: { countdown: { type: "square", freqs: [700, 700, 700, 700, 1400] } } },
+      }),
+    },
+  });
+
+  const options = element("soundProfileSelect").innerHTML;
+  ["Classic", "Soft", "Whistle", "Gym Loud", "Garage"].forEach((name) => {
+    assert.ok(options.includes(`>${name}</option>`), name);
+  });
+  assert.equal(element("soundDeleteBtn").disabled, false);
+  assert.ok(element("soundEvents").innerHTML.includes('value="700 700 700 700 1400"'));
+  assert.equal(WT.app.engine.state, "idle");
+});
+
+test("a clip that is not stored shows as missing and the synth stays", async () => {
+  const { element } = loadBundle({
+    storage: {
+      "workoutTimer.sounds.v1": JSON.stringify({
+        active: "Garage",
+        custom: { Garage: { start: { freqs: [660], sample: "Coach Go" } } },
+      }),
+    },
+  });
+  // no IndexedDB here: the clip list loads empty
+  await new Promise((resolve) => setTimeout(resolve, 0));
+
+  const rows = element("soundEvents").innerHTML;
+  assert.ok(rows.includes(">Coach Go (missing)</option>"));
+  assert.ok(rows.includes('<option value="" selected>Synth</option>'));
+  assert.equal(element("sampleList").innerHTML, "");
+});
+
+test("stored clips wait for audio to be used, then resume the suspended context", async () => {
+  const { WT } = loadBundle();
+  const made = [];
+  class SuspendedAudioContext {
+    constructor() {
+      this.state = "suspended";
+      this.resumed = 0;
+      this.played = [];
+      this.currentTime = 0;
+      this.destination = {};
+      made.push(this);
+    }
+    resume() {
+      this.resumed += 1;
+      this.state = "running";
+      return Promise.resolve();
+    }
+    decodeAudioData(data) {
+      return Promise.resolve({ bytes: data.byteLength });
+    }
+    createBufferSource() {
+      const node = { connect: (next) => next, start: () => this.played.push(node.buffer) };
+      return node;
+    }
+    createOscillator() {
+      const node = {
+        frequency: {},
+        connect: (next) => next,
+        start: () => this.played.push(node.frequency.value),
+        stop: () => {},
+      };
+      return node;
+    }
+    createGain() {
+      const param = { setValueAtTime: () => {}, exponentialRampToValueAtTime: () => {} };
+      return { gain: param, connect: (next) => next };
+    }
+  }
+  window.AudioContext = SuspendedAudioContext;
+  try {
+    const beeper = new WT.feedback.Beeper();
+    beeper.keepSample("Go", new ArrayBuffer(4));
+    assert.equal(made.length, 0, "loading clips creates no AudioContext");
+
+    // the first sound, inside the Start click: not decoded yet, so the synth
+    beeper.play({ sample: "Go", freqs: [660] });
+    const [ctx] = made;
+    assert.equal(ctx.resumed, 1);
+    assert.deepEqual(ctx.played, [660]);
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    beeper.play({ sample: "Go", freqs: [660] });
+    assert.deepEqual(ctx.played, [660, { bytes: 4 }]);
+    assert.equal(ctx.resumed, 1, "a running context is left alone");
+  } finally {
+    delete window.AudioContext;
+  }
+});
+
+test("one first-gesture listener decodes every stored clip", async () => {
+  const { WT, dispatchWindow } = loadBundle();
+  const made = [];
+  window.AudioContext = class {
+    constructor() {
+      this.state = "suspended";
+      this.resumed = 0;
+      made.push(this);
+    }
+    resume() {
+      this.resumed += 1;
+      this.state = "running";
+      return Promise.resolve();
+    }
+    decodeAudioData(data) {
+      return Promise.resolve({ bytes: data.byteLength });
+    }
+  };
+  const { addEventListener, removeEventListener } = window;
+  const added = [];
+  const removed = [];
+  window.addEventListener = (type, ...rest) => {
+    added.push(type);
+    addEventListener(type, ...rest);
+  };
+  window.removeEventListener = (type, ...rest) => {
+    removed.push(type);
+    removeEventListener(type, ...rest);
+  };
+  try {
+    const beeper = new WT.feedback.Beeper();
+    ["Go", "Whistle", "Bell"].forEach((name, i) =>
+      beeper.keepSample(name, new ArrayBuffer(i + 1)),
+    );
+    assert.deepEqual(added, ["pointerdown", "keydown"]);
+
+    dispatchWindow("pointerdown", {});
+    dispatchWindow("keydown", {});
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    assert.equal(made.length, 1);
+    assert.equal(made[0].resumed, 1);
+    assert.deepEqual([...beeper.samples.keys()], ["Go", "Whistle", "Bell"]);
+    assert.deepEqual(removed, ["pointerdown", "keydown"]);
+  } finally {
+    window.addEventListener = addEventListener;
+    window.removeEventListener = removeEventListener;
+    delete window.AudioContext;
+  }
+});
+
+test("Enter on a focused button is left to the button", () => {
+  const { WT, element, dispatchWindow } = loadBundle({
+    search: "?type=amrap&prep=0&timeCap=600",
+  });
+  const { engine } = WT.app;
+  // the page starts with the modal closed
+  element("modalRoot").classList.add("hidden");
+  const button = new FakeElement("button", "pauseBtn");
+  const enter = (target) => {
+    let prevented = false;
+    dispatchWindow("keydown", {
+      key: "Enter",
+      target,
+      preventDefault: () => (prevented = true),
+    });
+    return prevented;
+  };
+
+  engine.start();
+  assert.equal(enter(button), false, "the button keeps its own click");
+  assert.equal(element("roundCounter").textContent, "Rounds: 0");
+
+  assert.equal(enter(document.body), true);
+  assert.equal(element("roundCounter").textContent, "Rounds: 1");
+
+  WT.screens.show("screenConfig");
+  assert.equal(enter(document.body), false, "only on the Timer screen");
+  assert.equal(element("roundCounter").textContent, "Rounds: 1");
+  engine.reset();
+});
+
+test("manual work waits for the Next button", () => {
+  const { WT, element } = loadBundle({
+    search:
+      "?type=custom&prep=0&rounds=2&exercisesPerRound=1&exerciseWork=45&exerciseRest=0&betweenRounds=30&workMode=manual",
+  });
+  const { engine } = WT.app;
+
+  engine.start();
+  assert.equal(engine.isWaiting(), true);
+  assert.equal(element("actionBtn").textContent, "Next ▶");
+  assert.equal(element("actionBtn").disabled, false);
+  assert.ok(document.body.classList.contains("waiting-next"));
+
+  element("actionBtn").dispatch("click", {});
+  assert.equal(engine.position, 1);
+  assert.equal(element("actionBtn").classList.contains("hidden"), true);
+  assert.equal(document.body.classList.contains("waiting-next"), false);
+  engine.reset();
+});
+
+test("a strength set ends on Done and logs the time it took", () => {
+  const { WT, element } = loadBundle({
+    search: "?type=sets&prep=0&sets=3&setTarget=60&rest=90",
+  });
+  const { engine } = WT.app;
+
+  engine.start();
+  assert.equal(element("actionBtn").textContent, "Done ✓");
+  element("actionBtn").dispatch("click", {});
+
+  assert.equal(engine.current().label, "Rest after Set 1");
+  assert.match(element("roundLog").children[0].innerHTML, /Took 00:00/);
+  engine.reset();
+});
+
+test("a breathing workout themes the timer by breath phase", () => {
+  const { WT } = loadBundle({ search: "?type=breathing&prep=0&cycles=3" });
+  const { engine } = WT.app;
+
+  engine.start();
+  assert.ok(document.body.classList.contains("phase-inhale"));
+  engine.skip();
+  assert.ok(document.body.classList.contains("phase-hold"));
+  assert.equal(document.body.classList.contains("phase-inhale"), false);
+  engine.reset();
+});
+
+test("a running workout keeps a snapshot until it finishes", () => {
+  const { WT, storage } = loadBundle({
+    search: "?type=tabata&prep=0&rounds=4&work=20&rest=10",
+  });
+  const { engine } = WT.app;
+  const key = WT.storage.SNAPSHOT_KEY;
+
+  engine.start();
+  engine.skip();
+  const saved = JSON.parse(storage.get(key));
+  assert.equal(saved.engine.position, 1);
+  assert.equal(saved.config.type, "tabata");
+  assert.equal(saved.meta.totalRounds, 4);
+
+  engine.finish();
+  assert.equal(storage.has(key), false);
+});
+
+test("a snapshot left by an earlier page can be resumed", async () => {
+  const first = loadBundle({
+    search: "?type=tabata&prep=0&rounds=10&work=20&rest=10",
+  });
+  const key = first.WT.storage.SNAPSHOT_KEY;
+  first.WT.app.engine.start();
+  for (let i = 0; i < 11; i++) first.WT.app.engine.skip();
+  first.WT.app.engine.pause();
+  const saved = first.storage.get(key);
+
+  const { WT, element } = loadBundle({ storage: { [key]: saved } });
+  assert.equal(
+    element("modalMessage").textContent,
+    "Resume workout at Round 6 / 10?",
+  );
+  element("modalOk").dispatch("click", {});
+  await new Promise((resolve) => setImmediate(resolve));
+
+  const { engine } = WT.app;
+  assert.equal(WT.app.form.getType(), "tabata");
+  assert.equal(engine.state, "paused");
+  assert.equal(engine.position, 11);
+  assert.equal(element("intervalLabel").textContent, "Round 6 Rest");
+  assert.equal(element("screenTimer").classList.contains("active"), true);
+  assert.ok(element("roundLog").children.length > 0, "the round log is back");
+});
+
+test("a resumed round log is built again, not read back as markup", async () => {
+  const first = loadBundle({
+    search: "?type=tabata&prep=0&rounds=10&work=20&rest=10",
+  });
+  const key = first.WT.storage.SNAPSHOT_KEY;
+  first.WT.app.engine.start();
+  first.WT.app.engine.skip();
+  first.WT.app.engine.pause();
+  const saved = JSON.parse(first.storage.get(key));
+  const logged = saved.log.length;
+  saved.log.push(
+    { interval: { label: "<b>Row</b>", type: "work" }, options: { skipped: true } },
+    { icon: "<img src=x onerror=alert(1)>", iconClass: "x", label: "", details: [], classes: [""] },
+  );
+
+  const { element } = loadBundle({ storage: { [key]: JSON.stringify(saved) } });
+  element("modalOk").dispatch("click", {});
+  await new Promise((resolve) => setImmediate(resolve));
+
+  const items = element("roundLog").children;
+  assert.equal(items.length, logged + 1, "the stored view is dropped");
+  assert.match(items[0].innerHTML, /⏭️.*&lt;b&gt;Row&lt;\/b&gt;/);
+  assert.ok(items.every((item) => !item.innerHTML.includes("<img")));
+});
+
+test("discarding the resume offer forgets the snapshot", async () => {
+  const first = loadBundle();
+  const key = first.WT.storage.SNAPSHOT_KEY;
+  first.WT.app.engine.start();
+  const saved = first.storage.get(key);
+
+  const { WT, element, storage } = loadBundle({ storage: { [key]: saved } });
+  element("modalCancel").dispatch("click", {});
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.equal(storage.has(key), false);
+  assert.equal(WT.app.engine.state, "idle");
+});
+
 test("copying the URL round-trips the current configuration", () => {
   const { WT } = loadBundle({ search: "?type=custom&prep=5&rounds=2&exercisesPerRound=4&exerciseWork=25&exerciseRest=5&betweenRounds=15" });
   const first = WT.app.engine.sequence;
@@ -201,6 +702,77 @@ test("editing a field rebuilds the sequence", () => {
   assert.equal(element("roundCount").textContent, "3");
 });
 
+test("number and duration fields show their hint", () => {
+  [
+    ["sets", "setTarget"],
+    ["breathing", "holdIn"],
+    ["breathing", "holdOut"],
+    ["random", "seed"],
+    ["fight", "warning"],
+  ].forEach(([type, key]) => {
+    const { WT, element } = loadBundle({ search: `?type=${type}` });
+    const { hint } = WT.fields.getFieldDef(key);
+
+    assert.ok(hint, `${key} has a hint`);
+    assert.ok(
+      element("dynamicFields").innerHTML.includes(WT.dom.escapeHtml(hint)),
+      `${type} shows the ${key} hint`,
+    );
+  });
+});
+
+test("custom exercise names follow the number of exercises per round", () => {
+  const { WT, element } = loadBundle({
+    search:
+      "?type=custom&prep=0&rounds=1&exercisesPerRound=2&exerciseRest=0&exerciseNames=Row&exerciseNames=Run",
+  });
+  const nameInputs = () =>
+    element("dynamicFields")
+      .querySelectorAll("[data-list]")
+      .filter((input) => input.dataset.list === "exerciseNames");
+
+  assert.deepEqual(
+    WT.app.engine.sequence.map((item) => item.label),
+    ["R1 Row", "R1 Run"],
+  );
+  assert.equal(nameInputs().length, 2);
+
+  const perRound = element("f_exercisesPerRound");
+  perRound.value = "3";
+  perRound.dispatch("input");
+  assert.equal(nameInputs().length, 3);
+
+  const third = nameInputs()[2];
+  third.value = "Bike";
+  third.dispatch("input");
+  assert.deepEqual(
+    WT.app.engine.sequence.map((item) => item.label),
+    ["R1 Row", "R1 Run", "R1 Bike"],
+  );
+  assert.deepEqual(WT.app.form.collect().exerciseNames, ["Row", "Run", "Bike"]);
+});
+
+test("per-exercise work inputs override the shared work in the sequence", () => {
+  const { WT, element } = loadBundle({
+    search:
+      "?type=custom&prep=0&rounds=1&exercisesPerRound=2&exerciseWork=30&exerciseRest=0",
+  });
+  const workInputs = element("dynamicFields")
+    .querySelectorAll("[data-list]")
+    .filter((input) => input.dataset.list === "exerciseWorkSlots");
+
+  assert.equal(workInputs.length, 2);
+  assert.equal(workInputs[1].attributes.placeholder, "30");
+  workInputs[1].value = "45";
+  workInputs[1].dispatch("input");
+
+  assert.deepEqual(
+    WT.app.engine.sequence.map((item) => item.duration),
+    [30, 45],
+  );
+  assert.deepEqual(WT.app.form.collect().exerciseWorkSlots, [null, 45]);
+});
+
 test("the seconds stepper feeds back into the hidden seconds field", () => {
   const { element } = loadBundle();
   const plusSecond = element("dynamicFields")
@@ -249,3 +821,146 @@ test("running the engine drives the timer view", () => {
   assert.equal(element("pauseBtn").textContent, "Resume");
   engine.reset();
 });
+
+test("an AMRAP counts tapped rounds and reports them when it finishes", () => {
+  const { WT, element } = loadBundle({ search: "?type=amrap&prep=0&timeCap=600" });
+  const { engine } = WT.app;
+
+  assert.equal(element("actionBtn").classList.contains("hidden"), false);
+  assert.equal(element("actionBtn").disabled, true);
+
+  engine.start();
+  assert.equal(element("actionBtn").disabled, false);
+  element("actionBtn").dispatch("click", {});
+  element("actionBtn").dispatch("click", {});
+
+  assert.equal(element("roundCounter").textContent, "Rounds: 2");
+  assert.match(element("roundLog").children[0].innerHTML, /Round 2/);
+
+  engine.skip();
+  assert.equal(engine.state, "finished");
+  assert.equal(element("nextInterval").textContent, "2 rounds");
+  assert.match(element("roundLog").children[0].innerHTML, /2 rounds/);
+});
+
+test("Done on a For Time workout records the finishing time", () => {
+  const { WT, element } = loadBundle({
+    search: "?type=fortime&prep=0&softLimit=600&timeCap=900",
+  });
+  const { engine } = WT.app;
+
+  engine.start();
+  assert.equal(element("actionBtn").textContent, "Done");
+  element("actionBtn").dispatch("click", {});
+
+  assert.equal(engine.state, "finished");
+  assert.equal(element("nextInterval").textContent, "Finished in 00:00");
+});
+
+test("Failed ends a Death By and records the minute as the score", () => {
+  const { WT, element } = loadBundle({
+    search: "?type=deathby&prep=0&startReps=4&repStep=2&rounds=20",
+  });
+  const { engine } = WT.app;
+
+  engine.start();
+  assert.equal(element("intervalTarget").textContent, "4 reps");
+  engine.skip();
+  assert.equal(element("intervalTarget").textContent, "6 reps");
+
+  element("actionBtn").dispatch("click", {});
+  assert.equal(engine.state, "finished");
+  assert.equal(element("nextInterval").textContent, "Failed at minute 2 (6 reps)");
+});
+
+test("an EMOM whose work overflows the period shows a validation message", () => {
+  const { element } = loadBundle({ search: "?type=emom&period=60&work=90" });
+  assert.equal(element("configIssues").classList.contains("hidden"), false);
+  assert.match(element("configIssues").innerHTML, /does not fit inside the period/);
+  assert.match(element("configSummary").innerHTML, /Type:<\/strong> EMOM/);
+
+  const ok = loadBundle({ search: "?type=emom&period=120&work=90" });
+  assert.equal(ok.element("configIssues").classList.contains("hidden"), true);
+  assert.match(ok.element("configSummary").innerHTML, /E2MOM/);
+});
+
+test("the sequence editor edits the built workout and saves it as a sequence", () => {
+  const { WT, element } = loadBundle({
+    search: "?type=tabata&prep=0&rounds=2&work=20&rest=10",
+  });
+  const controls = (selector, dataKey) =>
+    element("editorList")
+      .querySelectorAll(selector)
+      .filter((el) => dataKey(el));
+  const op = (name, index) =>
+    controls("[data-op]", (btn) => btn.dataset.op === name && btn.dataset.index === String(index))[0];
+
+  element("editSequenceBtn").dispatch("click", {});
+  assert.equal(element("screenEditor").classList.contains("active"), true);
+  assert.equal(element("editorTotal").textContent, "4 intervals • 01:00");
+
+  op("remove", 3).dispatch("click", {});
+  op("duplicate", 0).dispatch("click", {});
+  op("down", 0).dispatch("click", {});
+  const label = controls("[data-edit]", (el) => el.dataset.edit === "label" && el.dataset.index === "0")[0];
+  label.value = "Sprint";
+  label.dispatch("input", {});
+  const countUp = controls("[data-edit]", (el) => el.dataset.edit === "countUp" && el.dataset.index === "3")[0];
+  countUp.checked = true;
+  countUp.dispatch("change", {});
+
+  element("editorSaveBtn").dispatch("click", {});
+  assert.equal(WT.app.form.getType(), "sequence");
+  assert.equal(element("screenConfig").classList.contains("active"), true);
+  assert.deepEqual(
+    WT.app.engine.sequence.map((item) => [item.label, item.duration, item.mode ?? null]),
+    [
+      ["Sprint", 20, null],
+      ["Round 1 Work", 20, null],
+      ["Round 1 Rest", 10, null],
+      ["Round 2 Work", 20, "up"],
+    ],
+  );
+  assert.match(element("configSummary").innerHTML, /4 intervals/);
+});
+
+test("a session link runs every block on one engine", () => {
+  const blocks = [
+    "type=tabata&prep=0&rounds=1&work=20&rest=10",
+    "type=micro&prep=0&reps=2&interval=5",
+  ].map(encodeURIComponent);
+  const { WT, element } = loadBundle({
+    search: `?type=session&transition=15&blocks=${blocks[0]}&blocks=${blocks[1]}`,
+  });
+  const { engine } = WT.app;
+
+  assert.equal(engine.sequence.length, 5);
+  assert.equal(element("totalDuration").textContent, "00:55");
+  assert.equal(element("roundCount").textContent, "2 blocks");
+
+  engine.start();
+  assert.match(element("roundInfo").textContent, /^Block 1 \/ 2 • Round 1 \/ 1/);
+  engine.skip();
+  engine.skip();
+  assert.equal(element("intervalLabel").textContent, "Transition to Micro");
+  assert.match(element("roundInfo").textContent, /^Block 2 \/ 2/);
+});
+
+test("adding a block appends the values last used for that type", () => {
+  const { WT, element } = loadBundle({ hash: "#type=micro" });
+  const reps = element("f_reps");
+  reps.value = "4";
+  reps.dispatch("input");
+
+  WT.app.form.setType("session");
+  WT.app.build();
+  const fieldControls = () => element("dynamicFields").querySelectorAll("[data-block-type]");
+  fieldControls()[0].value = "micro";
+  element("dynamicFields")
+    .querySelectorAll("[data-block-add]")[0]
+    .dispatch("click", {});
+
+  const { blocks } = WT.app.form.collect();
+  assert.deepEqual(blocks.at(-1), { type: "micro", prep: 10, reps: 4, interval: 5 });
+  assert.equal(WT.app.engine.sequence.at(-1).block, blocks.length);
+});
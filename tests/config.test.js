@@ -10,6 +10,8 @@ test("mergeWithDefaults fills the gaps for a bare config", () => {
     rounds: 8,
     work: 20,
     rest: 10,
+    sets: 1,
+    betweenSets: 60,
   });
 });
 
@@ -40,6 +42,30 @@ test("mergeWithDefaults keeps modern custom defaults untouched", () => {
   assert.equal(merged.exerciseWork, 30);
 });
 
+test("mergeWithDefaults keeps the custom work mode to timed or manual", () => {
+  assert.equal(config.mergeWithDefaults("custom", {}).workMode, "timed");
+  assert.equal(
+    config.mergeWithDefaults("custom", { workMode: "manual" }).workMode,
+    "manual",
+  );
+  assert.equal(
+    config.mergeWithDefaults("custom", { workMode: "later" }).workMode,
+    "timed",
+  );
+});
+
+test("a random workout gets a fresh seed, and the seed is part of its identity", () => {
+  const merged = config.mergeWithDefaults("random", {});
+  assert.ok(Number.isInteger(merged.seed) && merged.seed >= 1 && merged.seed <= 999999);
+  assert.equal(config.mergeWithDefaults("random", { seed: 31 }).seed, 31);
+  assert.notEqual(config.mergeWithDefaults("random", { seed: 0 }).seed, 0);
+
+  assert.notEqual(
+    config.fingerprint({ ...merged, seed: 31 }),
+    config.fingerprint({ ...merged, seed: 32 }),
+  );
+});
+
 test("mergeWithDefaults normalizes the countdown mode", () => {
   assert.equal(config.mergeWithDefaults("countdown", {}).mode, "down");
   assert.equal(
@@ -64,6 +90,65 @@ test("fingerprint ignores key order", () => {
   );
 });
 
+test("fingerprint matches a custom pin saved before exercise names existed", () => {
+  const saved = config.fingerprint({
+    type: "custom",
+    prep: 10,
+    rounds: 5,
+    exercisesPerRound: 3,
+    exerciseWork: 30,
+    exerciseRest: 10,
+    betweenRounds: 30,
+  });
+  assert.equal(
+    config.fingerprint(config.mergeWithDefaults("custom", {})),
+    saved,
+  );
+  assert.notEqual(
+    config.fingerprint(
+      config.mergeWithDefaults("custom", { exerciseNames: ["Row"] }),
+    ),
+    saved,
+  );
+});
+
+test("mergeWithDefaults cleans list values from storage or links", () => {
+  const merged = config.mergeWithDefaults("custom", {
+    exerciseNames: [" Row ", "", 7, "", ""],
+  });
+  assert.deepEqual(merged.exerciseNames, ["Row", "", "7"]);
+  assert.deepEqual(
+    config.mergeWithDefaults("rotation", { exercises: "Row" }).exercises,
+    [],
+  );
+});
+
+test("fingerprint matches a pin saved before the emom period existed", () => {
+  const saved = config.fingerprint({ type: "emom", prep: 10, rounds: 10, work: 40 });
+  const today = config.fingerprint(config.mergeWithDefaults("emom", {}));
+  assert.equal(today, saved);
+  assert.notEqual(
+    config.fingerprint(config.mergeWithDefaults("emom", { period: 120 })),
+    saved,
+  );
+});
+
+test("validate reports problems from the type and nothing for unknown types", () => {
+  assert.equal(
+    config.validate({ type: "emom", period: 60, work: 75 }).length,
+    1,
+  );
+  assert.deepEqual(config.validate(config.mergeWithDefaults("emom", {})), []);
+  assert.deepEqual(config.validate({ type: "tabata", work: 9999 }), []);
+  assert.deepEqual(config.validate({ type: "nope" }), []);
+});
+
+test("displayName prefers the type hook and falls back to the label", () => {
+  assert.equal(config.displayName({ type: "emom", period: 180 }), "E3MOM");
+  assert.equal(config.displayName({ type: "tabata" }), "Tabata");
+  assert.equal(config.displayName({ type: "nope" }), "nope");
+});
+
 test("formatFieldValue renders durations and select labels", () => {
   assert.equal(config.formatFieldValue("work", 90), "01:30");
   assert.equal(config.formatFieldValue("rounds", 8), "8");
@@ -71,6 +156,18 @@ test("formatFieldValue renders durations and select labels", () => {
   assert.equal(config.formatFieldValue("mode", "down"), "Count Down");
 });
 
+test("formatFieldValue joins list entries and fingerprint tells lists apart", () => {
+  assert.equal(
+    config.formatFieldValue("exercises", ["Burpees", "Rest"]),
+    "Burpees, Rest",
+  );
+  assert.equal(config.formatFieldValue("exercises", []), "—");
+  assert.notEqual(
+    config.fingerprint({ type: "rotation", exercises: ["a,b"] }),
+    config.fingerprint({ type: "rotation", exercises: ["a", "b"] }),
+  );
+});
+
 test("summaryRows labels every field and drops the type", () => {
   const rows = config.summaryRows({
     type: "countdown",
@@ -86,6 +183,40 @@ test("summaryRows labels every field and drops the type", () => {
   ]);
 });
 
+test("summaryRows lists each per-exercise override under its exercise name", () => {
+  const rows = config.summaryRows({
+    type: "custom",
+    exercisesPerRound: 3,
+    exerciseWork: 30,
+    exerciseNames: ["Row", "", "Bike"],
+    exerciseWorkSlots: [45, null, 20],
+    exerciseRestSlots: [null, 15],
+  });
+
+  assert.deepEqual(rows.slice(2), [
+    { key: "exerciseNames", label: "Exercise Names", value: "Row, —, Bike" },
+    { key: "exerciseWorkSlots.1", label: "Row Work", value: "00:45" },
+    { key: "exerciseWorkSlots.3", label: "Bike Work", value: "00:20" },
+    { key: "exerciseRestSlots.2", label: "Ex 2 Rest", value: "00:15" },
+  ]);
+});
+
+test("session blocks are merged with their defaults and listed one per row", () => {
+  const merged = config.mergeWithDefaults("session", {
+    transition: 0,
+    blocks: [{ type: "micro", reps: 3 }, { type: "fortime" }],
+  });
+  assert.deepEqual(merged.blocks, [
+    { type: "micro", prep: 10, reps: 3, interval: 5 },
+  ]);
+
+  assert.deepEqual(config.summaryRows(merged), [
+    { key: "transition", label: "Transition Rest (s)", value: "00:00" },
+    { key: "blocks.1", label: "Block 1", value: "Micro • 00:25" },
+  ]);
+  assert.equal(config.formatFieldValue("blocks", merged.blocks), "Micro");
+});
+
 test("summaryRows falls back to the raw key for unknown fields", () => {
   const rows = config.summaryRows({ type: "emom", mystery: 3 });
   assert.deepEqual(rows, [{ key: "mystery", label: "mystery", value: "3" }]);
@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const cuePoints = require("../src/core/cue-points.js");
+
+test("parse reads every timing and action form", () => {
+  const { cues, error } = cuePoints.parse(
+    "half beep; 10 left say Ten seconds\nevery 15s vibrate; at 30 clap flash",
+  );
+
+  assert.equal(error, null);
+  assert.deepEqual(cues, [
+    { halfway: true, sound: "beep" },
+    { left: 10, say: "Ten seconds" },
+    { every: 15, vibrate: true },
+    { at: 30, sound: "clap", flash: true },
+  ]);
+  assert.deepEqual(cuePoints.parse("  "), { cues: [], error: null });
+});
+
+test("parse keeps commas inside a phrase", () => {
+  assert.deepEqual(cuePoints.parse("10 left say Ten seconds, go; half beep"), {
+    cues: [
+      { left: 10, say: "Ten seconds, go" },
+      { halfway: true, sound: "beep" },
+    ],
+    error: null,
+  });
+});
+
+test("parse reports the cue that is wrong", () => {
+  const cases = [
+    ["half beep; soon beep", 'Cue 2: Expected "half", "N left", "every N" or "at N", found "soon"'],
+    ["every beep", 'Cue 1: Expected seconds (1–3600) after "every"'],
+    ["10 left", "Cue 1: Expected beep, clap, say, vibrate or flash"],
+    ["10 left honk", 'Cue 1: Expected beep, clap, say, vibrate or flash, found "honk"'],
+    ["at 5 say", 'Cue 1: Expected a phrase after "say"'],
+    [Array(11).fill("half beep").join(";"), "At most 10 cues per interval type"],
+  ];
+
+  cases.forEach(([text, error]) => {
+    assert.deepEqual(cuePoints.parse(text), { cues: [], error }, text);
+  });
+});
+
+test("format writes text that parses back to the same cues", () => {
+  const cues = [
+    { halfway: true, sound: "beep" },
+    { left: 10, say: "Ten seconds", vibrate: true },
+    { every: 15, flash: true },
+    { at: 30, sound: "clap" },
+  ];
+  const text = cuePoints.format(cues);
+
+  assert.equal(
+    text,
+    "half beep; 10 left vibrate say Ten seconds; every 15 flash; at 30 clap",
+  );
+  assert.deepEqual(cuePoints.parse(text).cues, cues);
+  assert.equal(cuePoints.format(undefined), "");
+});
+
+test("sanitizeDefaults keeps valid cues of known interval types only", () => {
+  assert.deepEqual(
+    cuePoints.sanitizeDefaults({
+      work: [{ halfway: true, sound: "beep" }, { at: 0, sound: "beep" }, { left: 5 }],
+      rest: [],
+      sprint: [{ at: 5, sound: "beep" }],
+      prep: "half beep",
+      cooldown: [{ every: 60, say: "  Breathe  ", sound: "horn" }],
+    }),
+    {
+      work: [{ halfway: true, sound: "beep" }],
+      cooldown: [{ every: 60, say: "Breathe" }],
+    },
+  );
+  assert.deepEqual(cuePoints.sanitizeDefaults(null), {});
+});
@@ -1,7 +1,11 @@
 const test = require("node:test");
 const assert = require("node:assert/strict");
 
-const { TimerEngine, createManualClock } = require("../src/core/engine.js");
+const {
+  TimerEngine,
+  createManualClock,
+  createVisibilityClock,
+} = require("../src/core/engine.js");
 
 // 125ms slices keep the floating point maths exact for whole-second durations.
 const STEP = 125;
@@ -95,6 +99,88 @@ test("count-up intervals keep counting past their soft limit", () => {
   assert.ok(engine.remaining > 10);
 });
 
+test("a capped count-up interval completes at its cap", () => {
+  const { clock, engine, events } = setup([
+    { label: "For Time", type: "work", duration: 5, mode: "up", softLimit: 3, cap: 5 },
+  ]);
+
+  engine.start();
+  clock.advance(6000, 250);
+
+  assert.equal(engine.state, "finished");
+  assert.equal(engine.remaining, 5);
+  assert.deepEqual(events.slice(-2), [
+    ["interval_complete", "For Time"],
+    ["finish", null],
+  ]);
+});
+
+test("complete ends the current interval on demand", () => {
+  const { clock, engine, events } = setup([
+    { label: "Up", type: "work", duration: 0, mode: "up", softLimit: null },
+    { label: "B", type: "rest", duration: 1 },
+  ]);
+
+  engine.complete(); // idle engines ignore it
+  assert.equal(engine.position, 0);
+
+  engine.start();
+  clock.advance(2000, STEP);
+  engine.complete();
+
+  assert.equal(engine.position, 1);
+  assert.equal(engine.remaining, 1);
+  assert.deepEqual(events.slice(-2), [
+    ["interval_complete", "Up"],
+    ["interval", "B"],
+  ]);
+});
+
+test("complete catches up with time that passed since the last tick", () => {
+  const clock = createManualClock();
+  let late = 0;
+  const engine = new TimerEngine({
+    clock: { ...clock, now: () => clock.now() + late },
+  });
+  const events = [];
+  ["interval", "interval_complete", "finish"].forEach((name) => {
+    engine.on(name, (payload) => events.push([name, payload?.label ?? null]));
+  });
+  engine.load(TWO_INTERVALS);
+
+  engine.start();
+  clock.advance(1500, STEP);
+  late = 1000; // A ran out half a second ago, no tick has seen it yet
+  engine.complete();
+
+  // "Done" lands on B, which had already begun
+  assert.deepEqual(events, [
+    ["interval_complete", "A"],
+    ["interval", "B"],
+    ["interval_complete", "B"],
+    ["finish", null],
+  ]);
+  assert.equal(engine.state, "finished");
+});
+
+test("finish ends the workout early without completing the interval", () => {
+  const { clock, engine, events } = setup(TWO_INTERVALS);
+
+  engine.finish(); // idle engines ignore it
+  assert.equal(engine.state, "idle");
+
+  engine.start();
+  clock.advance(500, STEP);
+  engine.finish();
+
+  assert.equal(engine.state, "finished");
+  assert.equal(clock.hasPending, false);
+  assert.deepEqual(events.slice(-2), [
+    ["start", "A"],
+    ["finish", null],
+  ]);
+});
+
 test("pause freezes the clock and resume continues without a jump", () => {
   const { clock, engine } = setup([{ label: "A", type: "work", duration: 10 }]);
 
@@ -189,3 +275,434 @@ test("on returns an unsubscribe function", () => {
   engine.start();
   assert.equal(calls, 0);
 });
+
+/** Advance through a list of frame gaps, one scheduled callback per gap. */
+function advanceFrames(clock, gaps) {
+  gaps.forEach((gap) => clock.advance(gap, gap));
+}
+
+test("irregular frames add up to exactly the time that passed", () => {
+  const { clock, engine } = setup([{ label: "A", type: "work", duration: 10 }]);
+
+  engine.start();
+  advanceFrames(clock, [16, 33, 7, 251, 1693, 4, 996, 2000]);
+
+  assert.equal(engine.elapsedMs(), 5000);
+  assert.equal(engine.remaining, 5);
+});
+
+test("frames shorter than a tick still count", () => {
+  const { clock, engine } = setup(TWO_INTERVALS);
+  const ticks = [];
+  engine.on("tick", (payload) => ticks.push(payload));
+
+  engine.start();
+  clock.advance(2040, 10);
+
+  assert.equal(engine.position, 1);
+  assert.ok(Math.abs(engine.remaining - 0.96) < 1e-9);
+  assert.ok(ticks.length < 204 / 4, "ticks are thinned, time is not");
+});
+
+test("a long sleep completes every missed interval in order", () => {
+  const { clock, engine, events } = setup([
+    { label: "A", type: "work", duration: 2 },
+    { label: "B", type: "rest", duration: 1 },
+    { label: "C", type: "work", duration: 3 },
+  ]);
+
+  engine.start();
+  advanceFrames(clock, [300, 4200]);
+
+  assert.equal(engine.position, 2);
+  assert.equal(engine.remaining, 1.5);
+  assert.deepEqual(events.slice(2), [
+    ["interval_complete", "A"],
+    ["interval", "B"],
+    ["interval_complete", "B"],
+    ["interval", "C"],
+  ]);
+});
+
+test("sleeping past the end finishes the workout", () => {
+  const { clock, engine, events } = setup(TWO_INTERVALS);
+
+  engine.start();
+  advanceFrames(clock, [60000]);
+
+  assert.equal(engine.state, "finished");
+  assert.equal(clock.hasPending, false);
+  assert.deepEqual(
+    events.map(([name]) => name),
+    ["load", "start", "interval_complete", "interval", "interval_complete", "finish"],
+  );
+});
+
+test("a capped count-up caught up late hands its overshoot to the next interval", () => {
+  const { clock, engine } = setup([
+    { label: "For Time", type: "work", duration: 5, mode: "up", softLimit: 3, cap: 5 },
+    { label: "B", type: "rest", duration: 2 },
+  ]);
+
+  engine.start();
+  advanceFrames(clock, [1000, 5000]);
+
+  assert.equal(engine.position, 1);
+  assert.equal(engine.remaining, 1);
+});
+
+test("time spent paused is left out of the anchor", () => {
+  const { clock, engine } = setup([{ label: "A", type: "work", duration: 10 }]);
+
+  engine.start();
+  advanceFrames(clock, [700, 300]);
+  engine.pause();
+  clock.advance(30000, 30000); // the clock moves on, the engine does not
+  engine.resume();
+  advanceFrames(clock, [20, 480]);
+
+  assert.equal(engine.pausedTotal, 30000);
+  assert.equal(engine.remaining, 8.5);
+});
+
+test("skip starts the next interval at the moment of the skip", () => {
+  const { clock, engine } = setup([
+    { label: "A", type: "work", duration: 10 },
+    { label: "B", type: "rest", duration: 4 },
+  ]);
+
+  engine.start();
+  advanceFrames(clock, [1300]);
+  engine.skip();
+  advanceFrames(clock, [250, 750]);
+
+  assert.equal(engine.position, 1);
+  assert.equal(engine.remaining, 3);
+});
+
+function fakeDocument() {
+  const listeners = [];
+  return {
+    hidden: false,
+    addEventListener: (type, cb) => listeners.push([type, cb]),
+    setHidden(hidden) {
+      this.hidden = hidden;
+      listeners.forEach(([type, cb]) => type === "visibilitychange" && cb());
+    },
+  };
+}
+
+function fakeWorker() {
+  return {
+    messages: [],
+    onmessage: null,
+    postMessage(message) {
+      this.messages.push(message);
+    },
+    fire() {
+      this.onmessage?.({ data: 0 });
+    },
+  };
+}
+
+function visibilitySetup(sequence) {
+  const frames = createManualClock();
+  const doc = fakeDocument();
+  const worker = fakeWorker();
+  let created = 0;
+  const clock = createVisibilityClock({
+    doc,
+    frameClock: frames,
+    makeWorker: () => {
+      created += 1;
+      return worker;
+    },
+  });
+  const engine = new TimerEngine({ clock });
+  engine.load(sequence);
+  return { frames, doc, worker, engine, workersCreated: () => created };
+}
+
+test("the visibility clock runs on frames while the page is visible", () => {
+  const { frames, engine, workersCreated } = visibilitySetup(TWO_INTERVALS);
+
+  engine.start();
+  frames.advance(2500, STEP);
+
+  assert.equal(engine.position, 1);
+  assert.equal(engine.remaining, 0.5);
+  assert.equal(workersCreated(), 0, "no worker until the page is hidden");
+});
+
+test("a hidden page ticks on the worker and hands back to frames", () => {
+  const { frames, doc, worker, engine } = visibilitySetup(TWO_INTERVALS);
+
+  engine.start();
+  frames.advance(500, STEP);
+  doc.setHidden(true);
+  assert.deepEqual(worker.messages, ["start"]);
+  assert.equal(frames.hasPending, false, "the waiting frame was handed over");
+
+  frames.advance(1700, 1700); // frames stop while hidden; time goes on
+  assert.equal(engine.position, 0);
+  worker.fire();
+  assert.equal(engine.position, 1);
+  assert.ok(Math.abs(engine.remaining - 0.8) < 1e-9);
+
+  doc.setHidden(false);
+  assert.deepEqual(worker.messages, ["start", "stop"]);
+  assert.equal(frames.hasPending, true);
+  // a late worker message runs the waiting tick early; that cancels its
+  // frame, and the tick schedules the next one itself
+  worker.fire();
+  assert.equal(frames.hasPending, true);
+  frames.advance(1000, STEP);
+  assert.equal(engine.state, "finished");
+});
+
+test("pausing while hidden stops the worker", () => {
+  const { doc, worker, engine } = visibilitySetup(TWO_INTERVALS);
+
+  engine.start();
+  doc.setHidden(true);
+  engine.pause();
+
+  assert.deepEqual(worker.messages, ["start", "stop"]);
+  worker.fire();
+  assert.equal(engine.state, "paused");
+});
+
+test("serialize and restore continue a run in a new engine", () => {
+  const sequence = [
+    { label: "A", type: "work", duration: 2 },
+    { label: "B", type: "rest", duration: 3 },
+  ];
+  const { clock, engine } = setup(sequence);
+  engine.start();
+  advanceFrames(clock, [1000, 1500]);
+
+  const snapshot = JSON.parse(JSON.stringify(engine.serialize()));
+  assert.deepEqual(snapshot, {
+    sequence,
+    position: 1,
+    remaining: 2.5,
+    state: "running",
+    elapsedMs: 2500,
+    intervalElapsedMs: 500,
+  });
+
+  const later = createManualClock(90000);
+  const restored = new TimerEngine({ clock: later });
+  const seen = [];
+  restored.on("restore", (interval) => seen.push(interval.label));
+
+  assert.equal(restored.restore(snapshot), true);
+  assert.equal(restored.state, "paused", "a restored run waits for resume");
+  assert.equal(restored.position, 1);
+  assert.equal(restored.remaining, 2.5);
+  assert.equal(restored.current().index, 1);
+  assert.deepEqual(seen, ["B"]);
+
+  restored.resume();
+  advanceFrames(later, [1000]);
+  assert.equal(restored.remaining, 1.5);
+  advanceFrames(later, [1500]);
+  assert.equal(restored.state, "finished");
+});
+
+test("restore refuses snapshots that do not fit", () => {
+  const { engine, events } = setup(TWO_INTERVALS);
+
+  assert.equal(engine.restore(null), false);
+  assert.equal(engine.restore({ sequence: [], position: 0, remaining: 1 }), false);
+  assert.equal(
+    engine.restore({ sequence: TWO_INTERVALS, position: 2, remaining: 1 }),
+    false,
+  );
+  assert.equal(
+    engine.restore({ sequence: TWO_INTERVALS, position: 0, remaining: "soon" }),
+    false,
+  );
+  assert.equal(engine.state, "idle");
+  assert.deepEqual(events, [["load", null]]);
+});
+
+const THREE_INTERVALS = [
+  { label: "A", type: "work", duration: 5 },
+  { label: "B", type: "rest", duration: 5 },
+  { label: "C", type: "work", duration: 5 },
+];
+
+test("previous restarts the current interval after its first seconds", () => {
+  const { clock, engine, events } = setup(THREE_INTERVALS);
+  engine.on("seek", ({ from, to }) => events.push(["seek", `${from.label}>${to.label}`]));
+
+  engine.start();
+  advanceFrames(clock, [5000, 3000]);
+  engine.previous();
+
+  assert.equal(engine.position, 1);
+  assert.equal(engine.remaining, 5);
+  assert.deepEqual(events.slice(-2), [
+    ["seek", "B>B"],
+    ["interval", "B"],
+  ]);
+
+  advanceFrames(clock, [1000]);
+  assert.equal(engine.remaining, 4, "the restarted interval runs from its start");
+});
+
+test("previous early in an interval goes back to the one before", () => {
+  const { clock, engine } = setup(THREE_INTERVALS);
+
+  engine.start();
+  advanceFrames(clock, [5000, 1500]);
+  engine.previous();
+  assert.equal(engine.position, 0);
+  assert.equal(engine.remaining, 5);
+
+  engine.previous(); // nothing before the first interval: restart it
+  assert.equal(engine.position, 0);
+});
+
+test("seek jumps anywhere, also while paused or idle", () => {
+  const { clock, engine, events } = setup(THREE_INTERVALS);
+
+  engine.seek(2);
+  assert.equal(engine.position, 2);
+  assert.equal(engine.state, "idle");
+
+  engine.start();
+  advanceFrames(clock, [2000]);
+  engine.pause();
+  engine.seek(0);
+  assert.equal(engine.remaining, 5);
+  assert.equal(engine.state, "paused");
+
+  engine.resume();
+  advanceFrames(clock, [6000]);
+  assert.equal(engine.position, 1);
+  assert.equal(engine.remaining, 4);
+
+  const before = events.length;
+  engine.seek(3);
+  engine.seek(-1);
+  engine.seek(1.5);
+  assert.equal(events.length, before, "out of range seeks are ignored");
+});
+
+test("seek and previous are ignored once finished", () => {
+  const { engine } = setup(TWO_INTERVALS);
+  engine.start();
+  engine.finish();
+  engine.seek(0);
+  engine.previous();
+  assert.equal(engine.state, "finished");
+});
+
+test("adjust changes the current interval and the totals follow", () => {
+  const { clock, engine } = setup(THREE_INTERVALS);
+  const adjusts = [];
+  engine.on("adjust", ({ interval, delta }) => adjusts.push([interval.label, delta]));
+
+  engine.start();
+  advanceFrames(clock, [2000]);
+  assert.equal(engine.adjust(10), 10);
+  assert.equal(engine.remaining, 13);
+  assert.equal(engine.current().duration, 15);
+  assert.equal(engine.current().adjusted, 10);
+  assert.equal(engine.totalDuration(), 25);
+
+  advanceFrames(clock, [1000]);
+  assert.equal(engine.remaining, 12, "the adjusted interval keeps running");
+  assert.equal(engine.adjust(-10), -10);
+  assert.equal(engine.current().adjusted, 0);
+
+  // cannot cut below what already ran: the interval ends on the next tick
+  assert.equal(engine.adjust(-10), -2);
+  assert.equal(engine.remaining, 0);
+  advanceFrames(clock, [STEP]);
+  assert.equal(engine.position, 1);
+
+  assert.deepEqual(adjusts, [
+    ["A", 10],
+    ["A", -10],
+    ["A", -2],
+  ]);
+});
+
+test("extendRest stretches the current rest or the next one", () => {
+  const { clock, engine } = setup(THREE_INTERVALS);
+
+  engine.start();
+  assert.equal(engine.extendRest(), 15);
+  assert.equal(engine.sequence[1].duration, 20);
+  assert.equal(engine.remaining, 5, "the running work is untouched");
+
+  advanceFrames(clock, [5000, 1000]);
+  assert.equal(engine.remaining, 19);
+  engine.extendRest(5);
+  assert.equal(engine.remaining, 24);
+  assert.equal(engine.sequence[1].adjusted, 20);
+
+  advanceFrames(clock, [24000]);
+  assert.equal(engine.position, 2);
+  assert.equal(engine.extendRest(), 0, "no rest left");
+});
+
+test("adjust ignores count-up intervals, past intervals and finished runs", () => {
+  const { engine } = setup([
+    { label: "Run", type: "work", duration: 0, mode: "up" },
+    ...TWO_INTERVALS,
+  ]);
+  engine.start();
+  assert.equal(engine.adjust(10), 0);
+  engine.skip();
+  assert.equal(engine.adjust(10, 0), 0);
+  assert.equal(engine.adjust(Number.NaN), 0);
+  engine.finish();
+  assert.equal(engine.adjust(10), 0);
+});
+
+test("a manual interval counts up until proceed() and the run moves on", () => {
+  const { clock, engine, events } = setup([
+    { label: "Squat", type: "work", duration: 40, mode: "up", manual: true },
+    ...TWO_INTERVALS,
+  ]);
+
+  engine.start();
+  advanceFrames(clock, [60000]);
+  assert.equal(engine.position, 0, "no time limit");
+  assert.equal(engine.remaining, 60);
+  assert.equal(engine.isWaiting(), true);
+
+  assert.equal(engine.proceed(), true);
+  assert.equal(engine.position, 1);
+  assert.equal(engine.isWaiting(), false);
+  assert.deepEqual(events.slice(-2), [
+    ["interval_complete", "Squat"],
+    ["interval", "A"],
+  ]);
+
+  assert.equal(engine.proceed(), false, "timed intervals ignore Next");
+  assert.equal(engine.position, 1);
+});
+
+test("a manual interval records the time it took when it ends", () => {
+  const { clock, engine } = setup([
+    { label: "Set 1", type: "work", duration: 0, mode: "up", manual: true },
+    { label: "Rest", type: "rest", duration: 5 },
+    { label: "Set 2", type: "work", duration: 0, mode: "up", manual: true },
+  ]);
+
+  engine.start();
+  advanceFrames(clock, [42000]);
+  engine.proceed();
+  assert.equal(engine.sequence[0].took, 42);
+  assert.equal(engine.totalDuration(), Infinity, "set 2 is still open");
+
+  advanceFrames(clock, [5000, 3000]);
+  engine.skip();
+  assert.equal(engine.sequence[2].took, 3);
+  assert.equal(engine.totalDuration(), 50);
+});
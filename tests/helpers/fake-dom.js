@@ -175,7 +175,12 @@ class FakeElement {
 }
 
 /** Install the globals the bundle expects, and return them for assertions. */
-function install({ search = "", hash = "", type = "emom" } = {}) {
+function install({
+  search = "",
+  hash = "",
+  type = "emom",
+  storage: initialStorage = {},
+} = {}) {
   const elements = new Map();
   currentRegistry = elements;
   const element = (id) => {
@@ -197,7 +202,8 @@ function install({ search = "", hash = "", type = "emom" } = {}) {
     addEventListener: () => {},
   };
 
-  const storage = new Map();
+  const storage = new Map(Object.entries(initialStorage));
+  const windowListeners = {};
   const replaceStateCalls = [];
   const window = globalThis;
   // Some of these (navigator) are getter-only on the node global.
@@ -237,10 +243,21 @@ function install({ search = "", hash = "", type = "emom" } = {}) {
     },
     scrollTo: () => {},
     prompt: () => null,
-    addEventListener: () => {},
+    addEventListener: (type, handler) => {
+      (windowListeners[type] ||= []).push(handler);
+    },
+    removeEventListener: (type, handler) => {
+      windowListeners[type] = (windowListeners[type] || []).filter(
+        (other) => other !== handler,
+      );
+    },
   });
+  /** Fire a window level event, e.g. a keydown that bubbled up. */
+  const dispatchWindow = (type, event = {}) => {
+    (windowListeners[type] || []).slice().forEach((handler) => handler(event));
+  };
 
-  return { document, elements, element, storage, replaceStateCalls };
+  return { document, elements, element, storage, replaceStateCalls, dispatchWindow };
 }
 
 /** Script sources in the order index.html loads them. */
@@ -23,6 +23,24 @@ test("nominalDuration uses the soft limit for count-up intervals", () => {
   assert.equal(intervals.nominalDuration(undefined), 0);
 });
 
+test("a hard cap stands in for a missing soft limit", () => {
+  const capped = { type: "work", mode: "up", softLimit: null, cap: 900 };
+  assert.equal(intervals.nominalDuration(capped), 900);
+  assert.equal(intervals.isOpenEnded(capped), false);
+  assert.equal(
+    intervals.nominalDuration({ ...capped, softLimit: 600 }),
+    600,
+  );
+});
+
+test("reachedCap only fires for capped count-up intervals", () => {
+  const capped = { mode: "up", softLimit: 600, cap: 900 };
+  assert.equal(intervals.reachedCap(capped, 899.9), false);
+  assert.equal(intervals.reachedCap(capped, 900), true);
+  assert.equal(intervals.reachedCap({ mode: "up", softLimit: 600 }, 9999), false);
+  assert.equal(intervals.reachedCap({ duration: 10, cap: 5 }, 9), false);
+});
+
 test("initialValue starts count-up intervals at zero", () => {
   assert.equal(intervals.initialValue({ type: "work", duration: 45 }), 45);
   assert.equal(
@@ -74,17 +92,17 @@ test("elapsedBefore honours an exclude set", () => {
 test("computeEffectiveTime ignores prep and cooldown", () => {
   // second interval (work 20) with 5s left -> 15s of effective work done
   const result = intervals.computeEffectiveTime(SEQUENCE, 1, 5);
-  assert.deepEqual(result, { total: 30, elapsed: 15, left: 15 });
+  assert.deepEqual(result, { total: 30, elapsed: 15, left: 15, levels: [] });
 });
 
 test("computeEffectiveTime reports zero elapsed while still in prep", () => {
   const result = intervals.computeEffectiveTime(SEQUENCE, 0, 4);
-  assert.deepEqual(result, { total: 30, elapsed: 0, left: 30 });
+  assert.deepEqual(result, { total: 30, elapsed: 0, left: 30, levels: [] });
 });
 
 test("computeTime counts every interval when nothing is excluded", () => {
   const result = intervals.computeTime(SEQUENCE, 1, 5);
-  assert.deepEqual(result, { total: 70, elapsed: 25, left: 45 });
+  assert.deepEqual(result, { total: 70, elapsed: 25, left: 45, levels: [] });
 });
 
 test("computeTime keeps left at Infinity for open ended sequences", () => {
@@ -94,3 +112,91 @@ test("computeTime keeps left at Infinity for open ended sequences", () => {
   assert.equal(result.elapsed, 42);
   assert.equal(result.left, Infinity);
 });
+
+// 3 × (2 × 30/15) with 2 min between sets
+const SETS = [
+  { label: "Get Ready", type: "prep", duration: 10 },
+  intervals.repeat(
+    3,
+    () =>
+      intervals.repeat(
+        2,
+        (r) => [
+          { label: `Round ${r} Work`, type: "work", duration: 30 },
+          { label: `Round ${r} Rest`, type: "rest", duration: 15 },
+        ],
+        { label: "Round" },
+      ),
+    {
+      label: "Set",
+      between: { label: "Between Sets", type: "rest", duration: 120 },
+    },
+  ),
+];
+
+test("expand flattens repeat groups and stamps their levels", () => {
+  const flat = intervals.expand(SETS);
+
+  assert.equal(flat.length, 1 + 3 * 4 + 2);
+  assert.equal(flat[0].levels, undefined);
+  assert.deepEqual(flat[3].levels, [
+    { label: "Set", index: 1, total: 3 },
+    { label: "Round", index: 2, total: 2 },
+  ]);
+  assert.deepEqual(
+    flat.slice(4, 7).map((item) => item.label),
+    ["Round 2 Rest", "Between Sets", "Round 1 Work"],
+  );
+  assert.deepEqual(flat[5].levels, [{ label: "Set", index: 1, total: 3 }]);
+  assert.equal(flat.at(-1).label, "Round 2 Rest", "no rest after the last set");
+});
+
+test("expand leaves a flat sequence alone", () => {
+  assert.deepEqual(intervals.expand(SEQUENCE), SEQUENCE);
+  assert.equal(intervals.isGroup(SEQUENCE[0]), false);
+  assert.equal(intervals.isGroup(intervals.repeat(2, [])), true);
+  assert.deepEqual(intervals.expand([intervals.repeat(0, SEQUENCE)]), []);
+});
+
+test("repeat children are only built when the group is walked", () => {
+  let built = 0;
+  const group = intervals.repeat(1000, () => {
+    built += 1;
+    return { label: "Work", type: "work", duration: 10 };
+  });
+
+  assert.equal(intervals.intervalAt([group], 2).label, "Work");
+  assert.equal(built, 3);
+});
+
+test("time helpers accept a structure as well as a flat list", () => {
+  const flat = intervals.expand(SETS);
+
+  assert.equal(intervals.totalDuration(SETS), intervals.totalDuration(flat));
+  assert.equal(intervals.elapsedBefore(SETS, 6), intervals.elapsedBefore(flat, 6));
+  assert.deepEqual(intervals.computeTime(SETS, 6, 20), {
+    total: 10 + 3 * 90 + 2 * 120,
+    elapsed: 10 + 90 + 120 + 10,
+    left: 3 * 90 + 2 * 120 - 90 - 120 - 10,
+    levels: [
+      { label: "Set", index: 2, total: 3 },
+      { label: "Round", index: 1, total: 2 },
+    ],
+  });
+});
+
+test("a manual interval counts up and plans with its duration", () => {
+  const squat = { label: "Squat", type: "work", duration: 40, mode: "up", manual: true };
+
+  assert.equal(intervals.isManual(squat), true);
+  assert.equal(intervals.isCountUp(squat), true);
+  assert.equal(intervals.isOpenEnded(squat), true);
+  assert.equal(intervals.initialValue(squat), 0);
+  assert.equal(intervals.nominalDuration(squat), 40);
+  assert.equal(intervals.nominalDuration({ ...squat, softLimit: 60 }), 60);
+  assert.equal(intervals.isManual({ ...squat, mode: undefined }), false);
+  assert.equal(
+    intervals.totalDuration([squat, { label: "Rest", type: "rest", duration: 90 }]),
+    130,
+  );
+});
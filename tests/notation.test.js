@@ -0,0 +1,95 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const notation = require("../src/core/notation.js");
+const workoutTypes = require("../src/core/workout-types.js");
+const intervals = require("../src/core/intervals.js");
+
+const brief = (list) => list.map((item) => [item.label, item.type, item.duration]);
+
+test("parse reads single intervals, repeats and an EMOM", () => {
+  const { intervals: list, error } = notation.parse(
+    "prep 10; 2x(20 work/10 rest); rest 60; emom 2x40",
+  );
+
+  assert.equal(error, null);
+  assert.deepEqual(brief(list), [
+    ["Get Ready", "prep", 10],
+    ["Round 1 Work", "work", 20],
+    ["Round 1 Rest", "rest", 10],
+    ["Round 2 Work", "work", 20],
+    ["Round 2 Rest", "rest", 10],
+    ["Rest", "rest", 60],
+    ["Minute 1 Work", "work", 40],
+    ["Minute 1 Rest", "rest", 20],
+    ["Minute 2 Work", "work", 40],
+    ["Minute 2 Rest", "rest", 20],
+  ]);
+});
+
+test("nested groups become sets of rounds", () => {
+  const { intervals: list } = notation.parse("3x(4x(30/15 rest)\nrest 2m)");
+
+  assert.equal(list.length, 3 * 9);
+  assert.equal(list[8].label, "Set 1 Rest");
+  assert.equal(list[8].duration, 120);
+  assert.equal(list[9].label, "Set 2 Round 1 Work");
+});
+
+test("labels, duration forms and a full-minute EMOM", () => {
+  const { intervals: list } = notation.parse(
+    'work 40 Push-ups\nrest 1:30 "Walk it off"\n90s cooldown\n1m30s; 2min; 20sec\nemom 1',
+  );
+
+  assert.deepEqual(brief(list), [
+    ["Push-ups", "work", 40],
+    ["Walk it off", "rest", 90],
+    ["Cool Down", "cooldown", 90],
+    ["Work", "work", 90],
+    ["Work", "work", 120],
+    ["Work", "work", 20],
+    ["Minute 1 Work", "work", 60],
+  ]);
+});
+
+test("errors point at the line and column of the problem", () => {
+  const cases = [
+    ["prep 10;\n  8y", 2, 3, 'Unexpected "8"'],
+    ["8x(20 work/10 rest", 1, 19, 'Missing ")" for the "(" at line 1, column 3'],
+    ["8x()", 1, 3, "Empty group"],
+    ["emom 3x70", 1, 8, "EMOM work must fit in the minute"],
+    ["work", 1, 5, "Expected a duration, found the end"],
+    ["rest 0", 1, 6, "Durations must be between 1 second and 60 minutes"],
+    ["1:30x(20)", 1, 1, 'Expected a repeat count, found "1:30"'],
+    ['work 20 "Row', 1, 9, "Missing the closing quote"],
+    ["20 work 10 rest", 1, 9, 'Expected ";" or a new line before "10"'],
+    ["", 1, 1, "Nothing to parse yet"],
+  ];
+
+  cases.forEach(([text, line, column, message]) => {
+    const { intervals: list, error } = notation.parse(text);
+    assert.deepEqual(list, []);
+    assert.deepEqual(error, { message, line, column }, text);
+  });
+});
+
+test("parse stops at the sequence limit without expanding everything", () => {
+  const { error } = notation.parse("200x(200x(200x(1)))");
+  assert.match(error.message, /at most 200/);
+});
+
+test("formatError prefixes the position", () => {
+  assert.equal(
+    notation.formatError({ message: "Empty group", line: 2, column: 4 }),
+    "Line 2, column 4: Empty group",
+  );
+  assert.equal(notation.formatError(null), "");
+});
+
+test("parsed intervals run as a sequence workout", () => {
+  const { intervals: list } = notation.parse("prep 10; 8x(20 work/10 rest)");
+  const { sequence } = workoutTypes.build("sequence", { intervals: list });
+
+  assert.equal(sequence.length, 17);
+  assert.equal(intervals.totalDuration(sequence), 10 + 8 * 30);
+});
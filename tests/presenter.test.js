@@ -38,6 +38,61 @@ test("sequencePreviewItems uses the variant for styling and marks the current it
   );
 });
 
+test("sequencePreviewItems shows the per-round durations of a ladder", () => {
+  const { sequence } = workoutTypes.build("ladder", {
+    prep: 0,
+    startWork: 20,
+    peakWork: 40,
+    workStep: 10,
+    mirror: "yes",
+    restMode: "fixed",
+    rest: 0,
+  });
+
+  assert.deepEqual(
+    presenter.sequencePreviewItems(sequence).map((item) => item.timeText),
+    ["00:20", "00:30", "00:40", "00:30", "00:20"],
+  );
+});
+
+test("sequencePreviewItems shows per-exercise custom durations", () => {
+  const { sequence } = workoutTypes.build("custom", {
+    prep: 0,
+    rounds: 1,
+    exercisesPerRound: 2,
+    exerciseWork: 30,
+    exerciseRest: 10,
+    betweenRounds: 0,
+    exerciseWorkSlots: [null, 45],
+    exerciseRestSlots: [20],
+  });
+
+  assert.deepEqual(
+    presenter.sequencePreviewItems(sequence).map((item) => item.timeText),
+    ["00:30", "00:20", "00:45"],
+  );
+});
+
+test("roundSummary prefixes the block of a session and uses its meta", () => {
+  const { sequence, meta } = workoutTypes.build("session", {
+    transition: 15,
+    blocks: [
+      { type: "tabata", prep: 0, rounds: 8, work: 20, rest: 10 },
+      { type: "countdown", prep: 0, mode: "up", total: 300 },
+    ],
+  });
+
+  assert.equal(presenter.roundSummary(sequence[2], meta), "Block 1 / 2 • Round 2 / 8");
+  const transition = sequence.find((item) => item.label.startsWith("Transition"));
+  assert.equal(presenter.roundSummary(transition, meta), "Block 2 / 2 • Round 0 / 1");
+  assert.equal(
+    presenter.roundSummary(sequence.at(-1), meta),
+    "Block 2 / 2 • Count Up • Soft Limit 05:00",
+  );
+  assert.equal(presenter.blockMeta(sequence[0], meta).totalRounds, 8);
+  assert.equal(presenter.readyView(sequence, meta).roundCountText, "2 blocks");
+});
+
 test("roundSummary reports round and exercise position", () => {
   const meta = { totalRounds: 5, exercisesPerRound: 3 };
   assert.equal(
@@ -78,6 +133,16 @@ test("roundSummary describes count-up intervals by their soft limit", () => {
   );
 });
 
+test("roundSummary adds the hard cap of a capped count-up", () => {
+  assert.equal(
+    presenter.roundSummary(
+      { type: "work", mode: "up", softLimit: 600, cap: 900 },
+      {},
+    ),
+    "Count Up • Soft Limit 10:00 • Cap 15:00",
+  );
+});
+
 test("roundInfoText appends elapsed and left", () => {
   assert.equal(
     presenter.roundInfoText("Round 1 / 8", { elapsed: 65.7, left: 30.2 }),
@@ -97,6 +162,43 @@ test("nextIntervalText names the upcoming interval", () => {
   assert.equal(presenter.nextIntervalText(undefined), "");
 });
 
+test("roundSummary reports every repeat level of tabata sets", () => {
+  const { sequence, meta } = workoutTypes.build("tabata", {
+    prep: 0,
+    rounds: 4,
+    work: 30,
+    rest: 15,
+    sets: 3,
+    betweenSets: 120,
+  });
+  const between = sequence.find((item) => item.variant === "rest-between");
+
+  assert.equal(presenter.roundSummary(sequence[14], meta), "Set 2 / 3 • Round 4 / 4");
+  assert.equal(presenter.roundSummary(between, meta), "Set 1 / 3");
+});
+
+test("resumeText names the round to resume at", () => {
+  const { sequence, meta } = workoutTypes.build("tabata", {
+    prep: 0,
+    rounds: 10,
+    work: 20,
+    rest: 10,
+  });
+
+  assert.equal(
+    presenter.resumeText(sequence[11], meta),
+    "Resume workout at Round 6 / 10?",
+  );
+  assert.equal(
+    presenter.resumeText({ label: "For Time", type: "work", mode: "up", cap: 600 }, {}),
+    "Resume workout at For Time?",
+  );
+  assert.equal(
+    presenter.resumeText({ label: "Stretch", type: "cooldown", duration: 60 }, {}),
+    "Resume workout at Stretch?",
+  );
+});
+
 test("intervalView shows the full duration when entering a countdown interval", () => {
   const { sequence, meta } = workoutTypes.build("tabata", {
     prep: 10,
@@ -114,13 +216,98 @@ test("intervalView shows the full duration when entering a countdown interval",
 
   assert.deepEqual(view, {
     label: "Round 1 Work",
+    targetText: "",
     mainTime: "00:20",
     roundInfo: "Round 1 / 8",
     nextText: "Next: Round 1 Rest (00:10)",
     phase: "work",
     variant: "work",
     softLimitExceeded: false,
+    waiting: false,
+  });
+});
+
+test("a manual interval waits for Next and keeps its round summary", () => {
+  const { sequence, meta } = workoutTypes.build("custom", {
+    prep: 0,
+    rounds: 2,
+    exercisesPerRound: 1,
+    exerciseWork: 45,
+    exerciseRest: 0,
+    betweenRounds: 60,
+    workMode: "manual",
+  });
+  const indexed = sequence.map((item, index) => ({ ...item, index }));
+
+  const view = presenter.intervalView(indexed[0], { sequence: indexed, meta, value: 0 });
+  assert.equal(view.waiting, true);
+  assert.equal(view.mainTime, "00:00");
+  assert.equal(view.roundInfo, "Round 1 / 2 • Exercise 1 / 1");
+  assert.equal(view.nextText, "Press Next when ready • Next: Between Round 1 (01:00)");
+
+  const tick = presenter.tickView({
+    interval: indexed[0],
+    value: 30,
+    sequence: indexed,
+    meta,
+    position: 0,
   });
+  assert.equal(tick.waiting, true);
+  assert.equal(tick.mainTime, "00:30");
+
+  assert.deepEqual(presenter.actionView(indexed[0], meta, "running"), {
+    hidden: false,
+    kind: "next",
+    label: "Next ▶",
+    disabled: false,
+  });
+  assert.equal(presenter.actionView(indexed[0], meta, "paused").disabled, true);
+  assert.equal(presenter.actionView(indexed[1], meta, "running").hidden, true);
+});
+
+test("intervalView, next text and voice cue carry a rep target", () => {
+  const { sequence, meta } = workoutTypes.build("deathby", {
+    prep: 0,
+    startReps: 3,
+    repStep: 2,
+    rounds: 10,
+  });
+  const indexed = sequence.map((item, index) => ({ ...item, index }));
+
+  const view = presenter.intervalView(indexed[1], { sequence: indexed, meta });
+  assert.equal(view.label, "Minute 2");
+  assert.equal(view.targetText, "5 reps");
+  assert.equal(view.roundInfo, "Minute 2 / 10");
+  assert.equal(view.nextText, "Next: Minute 3 • 7 reps (01:00)");
+  assert.equal(presenter.voiceCue(indexed[1]), "Minute 2, 5 reps");
+  assert.equal(presenter.voiceCue({ label: "Round 1 Work" }), "Round 1 Work");
+  assert.equal(presenter.targetText({ reps: 1 }), "1 rep");
+});
+
+test("voiceCue speaks the exercise name rather than the round label", () => {
+  assert.equal(
+    presenter.voiceCue({ label: "R3 Burpees", name: "Burpees" }),
+    "Burpees",
+  );
+});
+
+test("voiceCue announces the named exercise coming up after a rest", () => {
+  const pushUps = { label: "R1 Push-ups", type: "work", name: "Push-ups" };
+  assert.equal(
+    presenter.voiceCue({ label: "Get Ready", type: "prep" }, pushUps),
+    "Get Ready. Next up: Push-ups",
+  );
+  assert.equal(
+    presenter.voiceCue({ label: "R1 Rows", type: "work", name: "Rows" }, pushUps),
+    "Rows",
+  );
+  assert.equal(
+    presenter.voiceCue({ label: "R1 Ex 1 Rest", type: "rest" }, {
+      label: "R1 Ex 2 Work",
+      type: "work",
+    }),
+    "R1 Ex 1 Rest",
+  );
 });
 
 test("intervalView flags a count-up interval past its soft limit", () => {
@@ -155,6 +342,7 @@ test("readyView summarizes a freshly built workout", () => {
 
   assert.deepEqual(presenter.readyView(sequence, meta), {
     label: "Ready",
+    targetText: "",
     mainTime: "00:10",
     roundInfo: "Round 0 / 8 • Elapsed 00:00 • Left 04:00",
     nextText: "Next: Round 1 Work (00:20)",
@@ -218,7 +406,59 @@ test("tickView combines time, progress and effective totals", () => {
   assert.equal(view.percent, 25);
   assert.equal(view.roundInfo, "Round 1 / 2 • Elapsed 00:05 • Left 00:55");
   assert.equal(view.softLimitExceeded, false);
-  assert.deepEqual(view.effective, { total: 60, elapsed: 5, left: 55 });
+  assert.deepEqual(view.effective, {
+    total: 60,
+    elapsed: 5,
+    left: 55,
+    levels: [{ label: "Round", index: 1, total: 2 }],
+  });
+});
+
+test("dueCues returns the cue points passed since the last tick", () => {
+  const clap = { left: 10, sound: "clap", flash: true };
+  const halfway = { at: 90, sound: "beep" };
+  const round = { label: "Round 1", type: "work", duration: 180, cues: [clap, halfway] };
+
+  assert.deepEqual(presenter.dueCues(round, 0, 89.9), []);
+  assert.deepEqual(presenter.dueCues(round, 89.9, 90), [halfway]);
+  assert.deepEqual(presenter.dueCues(round, 90, 170.1), [clap]);
+  assert.deepEqual(presenter.dueCues(round, 170.1, 175), [], "a cue fires once");
+  assert.deepEqual(presenter.dueCues(round, 0, 180), [clap, halfway]);
+
+  const up = { label: "Run", type: "work", duration: 0, mode: "up", cues: [clap, halfway] };
+  assert.deepEqual(presenter.dueCues(up, 0, 200), [halfway], "no end to count back from");
+  assert.deepEqual(presenter.dueCues({ label: "Rest", type: "rest", duration: 5 }, 0, 5), []);
+});
+
+test("dueCues resolves halfway and repeating cue points", () => {
+  const half = { halfway: true, sound: "beep" };
+  const every = { every: 15, vibrate: true };
+  const work = { label: "Work", type: "work", duration: 45, cues: [half, every] };
+
+  assert.deepEqual(presenter.dueCues(work, 14, 15), [every]);
+  assert.deepEqual(presenter.dueCues(work, 15, 22.5), [half]);
+  assert.deepEqual(presenter.dueCues(work, 22.5, 29.9), []);
+  assert.deepEqual(presenter.dueCues(work, 29.9, 30), [every]);
+  assert.deepEqual(presenter.dueCues(work, 30, 45), [], "the end is the interval change");
+
+  const up = { label: "Run", type: "work", duration: 0, mode: "up", cues: [half, every] };
+  assert.deepEqual(presenter.dueCues(up, 299, 300), [every], "count-ups repeat forever");
+});
+
+test("dueCues adds the default cues of the interval type", () => {
+  const defaults = {
+    work: [{ left: 10, say: "Ten seconds" }],
+    rest: [{ halfway: true, sound: "beep" }],
+  };
+  const own = { at: 5, flash: true };
+  const work = { label: "Row", type: "work", duration: 30, cues: [own] };
+  const rest = { label: "Rest", type: "rest", duration: 20 };
+  const inhale = { label: "Inhale", type: "rest", variant: "inhale", duration: 20 };
+
+  assert.deepEqual(presenter.dueCues(work, 0, 30, defaults), [own, ...defaults.work]);
+  assert.deepEqual(presenter.dueCues(rest, 9, 10, defaults), defaults.rest);
+  assert.deepEqual(presenter.dueCues(inhale, 9, 10, defaults), [], "breath phases keep quiet");
+  assert.deepEqual(presenter.dueCues(rest, 9, 10), []);
 });
 
 test("finalCountdownFrequency only cues the last three seconds", () => {
@@ -230,6 +470,105 @@ test("finalCountdownFrequency only cues the last three seconds", () => {
   assert.equal(presenter.finalCountdownFrequency(Infinity), null);
 });
 
+test("finalCountdownFrequency follows the countdown tones of a profile", () => {
+  const freqs = [300, 400, 500, 600, 1200];
+  assert.equal(presenter.finalCountdownFrequency(6, freqs), null);
+  assert.equal(presenter.finalCountdownFrequency(5, freqs), 300);
+  assert.equal(presenter.finalCountdownFrequency(1, freqs), 1200);
+  assert.equal(presenter.finalCountdownFrequency(2, [2300]), null);
+});
+
+test("counterView only shows for workouts scored in rounds", () => {
+  assert.deepEqual(presenter.counterView({ scoring: "rounds" }, 3), {
+    hidden: false,
+    text: "Rounds: 3",
+  });
+  assert.equal(presenter.counterView({ totalRounds: 8 }, 0).hidden, true);
+});
+
+test("actionView offers the round tap only while an AMRAP block runs", () => {
+  const meta = { scoring: "rounds" };
+  const work = { type: "work" };
+
+  assert.deepEqual(presenter.actionView(work, meta, "running"), {
+    hidden: false,
+    kind: "round",
+    label: "+1 Round",
+    disabled: false,
+  });
+  assert.equal(presenter.actionView(work, meta, "paused").disabled, true);
+  assert.equal(
+    presenter.actionView({ type: "prep" }, meta, "running").disabled,
+    true,
+  );
+  assert.equal(presenter.actionView(work, { totalRounds: 8 }, "running").hidden, true);
+});
+
+test("finishedView reports the score of a scored workout", () => {
+  assert.deepEqual(presenter.finishedView({ scoring: "rounds" }, { rounds: 7 }), {
+    label: "Finished",
+    targetText: "",
+    mainTime: "00:00",
+    resultText: "7 rounds",
+  });
+  assert.equal(presenter.resultText({ scoring: "rounds" }, { rounds: 1 }), "1 round");
+  assert.equal(presenter.finishedView({ totalRounds: 8 }).resultText, "");
+});
+
+test("actionView offers Done while a For Time block runs", () => {
+  const meta = { scoring: "time", softLimit: 600, timeCap: 900 };
+  const capped = { type: "work", mode: "up", softLimit: 600, cap: 900 };
+
+  const view = presenter.actionView(capped, meta, "running");
+  assert.equal(view.kind, "done");
+  assert.equal(view.label, "Done");
+  assert.equal(view.disabled, false);
+  assert.equal(
+    presenter.actionView({ type: "prep", duration: 10 }, meta, "running").disabled,
+    true,
+  );
+});
+
+test("resultText reports the finishing time or the time cap", () => {
+  const meta = { scoring: "time", softLimit: 600, timeCap: 900 };
+  assert.equal(
+    presenter.resultText(meta, { time: 512.6 }),
+    "Finished in 08:32",
+  );
+  assert.equal(
+    presenter.resultText(meta, { time: 700 }),
+    "Finished in 11:40 • 01:40 over soft limit",
+  );
+  assert.equal(
+    presenter.resultText(meta, { time: 900 }),
+    "Time cap 15:00 • 05:00 over soft limit",
+  );
+  assert.equal(
+    presenter.resultText({ ...meta, softLimit: null }, { time: 900 }),
+    "Time cap 15:00",
+  );
+  assert.equal(presenter.resultText(meta, { time: null }), "");
+});
+
+test("actionView and resultText score a Death By by its failed minute", () => {
+  const meta = { totalRounds: 30, roundLabel: "Minute", scoring: "failed" };
+  const minute = { type: "work", label: "Minute 7", round: 7, reps: 7 };
+
+  const view = presenter.actionView(minute, meta, "running");
+  assert.equal(view.kind, "failed");
+  assert.equal(view.disabled, false);
+  assert.equal(
+    presenter.actionView({ type: "prep" }, meta, "running").disabled,
+    true,
+  );
+
+  assert.equal(
+    presenter.resultText(meta, { failed: minute }),
+    "Failed at minute 7 (7 reps)",
+  );
+  assert.equal(presenter.resultText(meta, {}), "Completed all 30 minutes");
+});
+
 test("controlState enables the right buttons per state", () => {
   const idle = presenter.controlState("idle");
   assert.deepEqual(
@@ -248,6 +587,10 @@ test("controlState enables the right buttons per state", () => {
   assert.equal(paused.pause.label, "Resume");
   assert.equal(paused.start.disabled, true);
   assert.equal(paused.skip.disabled, false);
+  assert.equal(paused.previous.disabled, false);
+  assert.equal(idle.previous.disabled, true);
+  assert.equal(paused.adjust.disabled, false);
+  assert.equal(idle.adjust.disabled, true);
 
   const finished = presenter.controlState("finished");
   assert.deepEqual(
@@ -256,6 +599,87 @@ test("controlState enables the right buttons per state", () => {
   );
 });
 
+test("logEntryView describes a jump back or ahead", () => {
+  const interval = { label: "Round 2 Rest", type: "rest" };
+  assert.equal(presenter.shouldLog(interval, { jumped: "jump" }), true);
+
+  const restart = presenter.logEntryView(interval, { jumped: "restart" });
+  assert.equal(restart.label, "Restart Round 2 Rest");
+  assert.equal(restart.icon, "↩️");
+  assert.deepEqual(restart.classes, ["jump"]);
+  assert.deepEqual(restart.details, []);
+  assert.equal(
+    presenter.logEntryView(interval, { jumped: "jump" }).label,
+    "Jump to Round 2 Rest",
+  );
+});
+
+test("logEntryView notes an adjusted interval and shouldLog keeps it", () => {
+  const rest = { label: "Round 3 Rest", type: "rest", duration: 25, adjusted: 15 };
+  assert.equal(presenter.shouldLog(rest), true);
+
+  const view = presenter.logEntryView(rest, { elapsed: 120, remaining: 60 });
+  assert.deepEqual(view.details, [
+    "(Elapsed: 02:00 | Left: 01:00)",
+    "(Adjusted +00:15)",
+  ]);
+  assert.equal(
+    presenter.logEntryView({ ...rest, adjusted: -5 }, { jumped: "jump" }).details.length,
+    0,
+  );
+  assert.equal(presenter.adjustText(rest, -10), "Round 3 Rest -00:10");
+});
+
+test("a strength set shows its target, a Done button and the time it took", () => {
+  const { sequence, meta } = workoutTypes.build("sets", {
+    prep: 0,
+    sets: 4,
+    setTarget: 60,
+    rest: 90,
+  });
+
+  assert.equal(presenter.roundSummary(sequence[2], meta), "Set 2 / 4 • Target 01:00");
+  assert.equal(presenter.actionView(sequence[2], meta, "running").label, "Done ✓");
+
+  const done = presenter.logEntryView(
+    { ...sequence[2], took: 71.6 },
+    { elapsed: 240, remaining: 300 },
+  );
+  assert.deepEqual(done.details, [
+    "(Took 01:12)",
+    "(Elapsed: 04:00 | Left: 05:00)",
+  ]);
+  assert.deepEqual(
+    presenter.logEntryView({ ...sequence[2], took: 30 }, { customMessage: "Paused" })
+      .details,
+    [],
+  );
+});
+
+test("breath phases get their own theme and a gentle tone", () => {
+  const { sequence } = workoutTypes.build("breathing", { prep: 10, cycles: 1 });
+  const [prep, inhale, hold, exhale] = sequence;
+
+  assert.deepEqual(
+    sequence.map(presenter.phaseOf),
+    ["prep", "inhale", "hold", "exhale", "hold"],
+  );
+  assert.equal(presenter.intervalView(inhale).phase, "inhale");
+  assert.ok(presenter.PHASE_TYPES.includes("exhale"));
+  assert.equal(presenter.isBreathing(hold), true);
+  assert.equal(presenter.isBreathing(prep), false);
+
+  assert.equal(presenter.intervalTone(prep), null);
+  const tone = presenter.intervalTone(exhale);
+  assert.ok(tone.freq < 880 && tone.volume < 0.3, "softer than the interval beep");
+  assert.notDeepEqual(presenter.intervalTone(inhale), tone);
+  assert.equal(
+    presenter.phaseOf({ type: "rest", variant: "rest-between" }),
+    "rest",
+    "other variants keep the type theme",
+  );
+});
+
 test("shouldLog keeps work and prep, drops plain rests", () => {
   assert.equal(presenter.shouldLog({ type: "work" }), true);
   assert.equal(presenter.shouldLog({ type: "prep" }), true);
@@ -315,3 +739,24 @@ test("logEntryView renders skips, pauses and prep differently", () => {
   assert.equal(prep.icon, "⏰");
   assert.deepEqual(prep.details, []);
 });
+
+test("logEntryView records counted rounds with their split", () => {
+  const view = presenter.logEntryView(
+    { label: "AMRAP", type: "work" },
+    { elapsed: 150, remaining: 570, completedRound: 2, split: 72 },
+  );
+
+  assert.equal(view.icon, "🔁");
+  assert.equal(view.label, "Round 2");
+  assert.deepEqual(view.classes, ["round"]);
+  assert.deepEqual(view.details, ["(Elapsed: 02:30 | Left: 09:30)", "(+01:12)"]);
+  assert.equal(presenter.shouldLog(null, { completedRound: 1 }), true);
+});
+
+test("logEntryView renders the final result without timings", () => {
+  const view = presenter.logEntryView(null, { result: "7 rounds", elapsed: 1 });
+  assert.equal(view.icon, "🏁");
+  assert.equal(view.label, "7 rounds");
+  assert.deepEqual(view.details, []);
+  assert.equal(presenter.shouldLog(null, { result: "7 rounds" }), true);
+});
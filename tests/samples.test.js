@@ -0,0 +1,97 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const samples = require("../src/core/samples.js");
+
+/** Just enough of IndexedDB for the sample store: one keyPath store. */
+function fakeIndexedDB() {
+  const stores = new Map();
+  const respond = (result) => {
+    const req = { result };
+    queueMicrotask(() => req.onsuccess?.());
+    return req;
+  };
+  const db = {
+    createObjectStore(name, { keyPath }) {
+      stores.set(name, { keyPath, records: new Map() });
+    },
+    transaction(name) {
+      const { keyPath, records } = stores.get(name);
+      return {
+        objectStore: () => ({
+          getAllKeys: () => respond([...records.keys()]),
+          get: (key) => respond(records.get(key)),
+          put: (record) => respond(records.set(record[keyPath], record) && record[keyPath]),
+          delete: (key) => respond(records.delete(key) && undefined),
+        }),
+      };
+    },
+  };
+  return {
+    open() {
+      const req = { result: db };
+      queueMicrotask(() => {
+        if (!stores.size) req.onupgradeneeded?.();
+        req.onsuccess?.();
+      });
+      return req;
+    },
+  };
+}
+
+test("checkFile accepts short audio files only", () => {
+  assert.equal(samples.checkFile({ name: "go.mp3", type: "audio/mpeg", size: 2000 }), null);
+  assert.equal(samples.checkFile({ name: "go.txt", type: "text/plain", size: 20 }), "Not an audio file");
+  assert.equal(
+    samples.checkFile({ name: "song.mp3", type: "audio/mpeg", size: samples.MAX_SAMPLE_BYTES + 1 }),
+    "Samples must be under 1 MB",
+  );
+  assert.equal(samples.checkFile(null), "No file chosen");
+});
+
+test("sampleName derives a short unique name from the file name", () => {
+  assert.equal(samples.sampleName("coach_go.mp3"), "coach go");
+  assert.equal(samples.sampleName("Whistle.wav", ["Whistle", "Whistle 2"]), "Whistle 3");
+  assert.equal(samples.sampleName(".ogg"), "Sample");
+  assert.equal(samples.sampleName(`${"x".repeat(40)}.mp3`).length, 21);
+});
+
+test("the sample store keeps clips by name", async () => {
+  const clips = samples.createSampleStore(fakeIndexedDB());
+  const data = new Uint8Array([1, 2, 3]).buffer;
+
+  assert.deepEqual(await clips.names(), []);
+  await clips.put({ name: "Whistle", type: "audio/wav", data });
+  await clips.put({ name: "Go", type: "audio/mpeg", data });
+  assert.deepEqual(await clips.names(), ["Go", "Whistle"]);
+  assert.deepEqual(await clips.get("Go"), { name: "Go", type: "audio/mpeg", data });
+
+  await clips.remove("Go");
+  assert.equal(await clips.get("Go"), null);
+  assert.deepEqual(await clips.names(), ["Whistle"]);
+});
+
+test("without IndexedDB there are no clips and saving fails", async () => {
+  const clips = samples.createSampleStore(undefined);
+
+  assert.deepEqual(await clips.names(), []);
+  await assert.rejects(clips.put({ name: "Go", type: "audio/mpeg", data: null }), /IndexedDB/);
+});
+
+test("a failed open is tried again on the next call", async () => {
+  const indexedDB = fakeIndexedDB();
+  const open = indexedDB.open;
+  let fails = 1;
+  indexedDB.open = () => {
+    if (!fails) return open();
+    fails -= 1;
+    const req = { error: new Error("blocked") };
+    queueMicrotask(() => req.onerror?.());
+    return req;
+  };
+  const clips = samples.createSampleStore(indexedDB);
+
+  await assert.rejects(clips.put({ name: "Go", type: "audio/mpeg", data: null }), /blocked/);
+  await clips.put({ name: "Go", type: "audio/mpeg", data: null });
+  assert.deepEqual(await clips.names(), ["Go"]);
+});
@@ -0,0 +1,151 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const sequenceEdit = require("../src/core/sequence-edit.js");
+
+const work = (label, duration) => ({ label, type: "work", duration });
+const rest = (duration) => ({ label: "Rest", type: "rest", duration });
+
+test("sanitizeInterval fixes the type, label, duration and mode", () => {
+  assert.deepEqual(
+    sequenceEdit.sanitizeInterval({ type: "sprint", duration: "45", label: "  Row " }),
+    { label: "Row", type: "work", duration: 45 },
+  );
+  assert.deepEqual(
+    sequenceEdit.sanitizeInterval({ type: "rest", duration: 0, label: "" }),
+    { label: "Rest", type: "rest", duration: 1 },
+  );
+  assert.deepEqual(
+    sequenceEdit.sanitizeInterval({ type: "work", duration: 0, mode: "up", round: 3 }),
+    { label: "Work", type: "work", duration: 0, mode: "up" },
+  );
+  assert.equal(sequenceEdit.sanitizeInterval({ duration: 99999 }).duration, 3600);
+  assert.equal(sequenceEdit.sanitizeInterval("work"), null);
+});
+
+test("sanitizeSequence drops junk and caps the length", () => {
+  assert.deepEqual(sequenceEdit.sanitizeSequence("nope"), []);
+  assert.deepEqual(sequenceEdit.sanitizeSequence([null, work("A", 10)]), [
+    work("A", 10),
+  ]);
+  const long = Array.from({ length: 250 }, () => work("A", 10));
+  assert.equal(
+    sequenceEdit.sanitizeSequence(long).length,
+    sequenceEdit.MAX_INTERVALS,
+  );
+});
+
+test("insert, remove and duplicate return new lists", () => {
+  const list = [work("A", 10), rest(5)];
+
+  const inserted = sequenceEdit.insert(list, 1, work("B", 20));
+  assert.deepEqual(
+    inserted.map((item) => item.label),
+    ["A", "B", "Rest"],
+  );
+  assert.equal(list.length, 2, "the input stays untouched");
+
+  assert.deepEqual(sequenceEdit.insert(list, 99).at(-1), {
+    label: "Work",
+    type: "work",
+    duration: 30,
+  });
+  assert.deepEqual(sequenceEdit.remove(inserted, 0), [work("B", 20), rest(5)]);
+  assert.deepEqual(sequenceEdit.remove(list, 7), list);
+  assert.deepEqual(sequenceEdit.duplicate(list, 0), [
+    work("A", 10),
+    work("A", 10),
+    rest(5),
+  ]);
+});
+
+test("move reorders and clamps the target", () => {
+  const list = [work("A", 1), work("B", 1), work("C", 1)];
+  const labels = (items) => items.map((item) => item.label);
+
+  assert.deepEqual(labels(sequenceEdit.move(list, 0, 2)), ["B", "C", "A"]);
+  assert.deepEqual(labels(sequenceEdit.move(list, 2, 0)), ["C", "A", "B"]);
+  assert.deepEqual(labels(sequenceEdit.move(list, 1, 9)), ["A", "C", "B"]);
+  assert.deepEqual(labels(sequenceEdit.move(list, 5, 0)), ["A", "B", "C"]);
+});
+
+test("update patches one interval and renames a default label on type change", () => {
+  const list = [rest(10), work("Row", 30)];
+
+  assert.deepEqual(sequenceEdit.update(list, 0, { type: "work" })[0], {
+    label: "Work",
+    type: "work",
+    duration: 10,
+  });
+  assert.equal(
+    sequenceEdit.update(list, 1, { type: "cooldown" })[1].label,
+    "Row",
+  );
+  assert.deepEqual(sequenceEdit.update(list, 1, { mode: "up" })[1], {
+    label: "Row",
+    type: "work",
+    duration: 30,
+    mode: "up",
+  });
+  assert.equal(
+    sequenceEdit.update([{ ...work("Run", 0), mode: "up" }], 0, { mode: "down" })[0]
+      .mode,
+    undefined,
+  );
+});
+
+test("fromSequence and toSequence convert built intervals both ways", () => {
+  const built = [
+    { label: "R1 Row", type: "work", duration: 40, round: 1, exercise: 1, index: 0 },
+    {
+      label: "For Time",
+      type: "work",
+      duration: 1200,
+      mode: "up",
+      softLimit: 600,
+      cap: 1200,
+    },
+  ];
+  const list = sequenceEdit.fromSequence(built);
+
+  assert.deepEqual(list, [
+    { label: "R1 Row", type: "work", duration: 40 },
+    { label: "For Time", type: "work", duration: 600, mode: "up" },
+  ]);
+  assert.deepEqual(sequenceEdit.toSequence(list)[1].softLimit, 600);
+  assert.equal(
+    sequenceEdit.toSequence([{ ...work("Run", 0), mode: "up" }])[0].softLimit,
+    null,
+  );
+});
+
+test("intervals encode to text and back", () => {
+  const row = { label: "Push-ups. Fast", type: "work", duration: 45 };
+  assert.equal(sequenceEdit.encodeInterval(row), "work.45.Push-ups. Fast");
+  assert.deepEqual(sequenceEdit.decodeInterval("work.45.Push-ups. Fast"), row);
+
+  const up = { label: "Run", type: "work", duration: 0, mode: "up" };
+  assert.equal(sequenceEdit.encodeInterval(up), "work.0+.Run");
+  assert.deepEqual(sequenceEdit.decodeInterval("work.0+.Run"), up);
+
+  assert.equal(sequenceEdit.decodeInterval("jog.45.Run"), null);
+  assert.equal(sequenceEdit.decodeInterval("work.abc.Run"), null);
+  assert.equal(sequenceEdit.decodeInterval(""), null);
+});
+
+test("manual intervals keep their flag through edits and links", () => {
+  const squat = { label: "Squat", type: "work", duration: 60, mode: "up", manual: true };
+
+  assert.deepEqual(sequenceEdit.sanitizeInterval({ ...squat, softLimit: 90 }), squat);
+  assert.equal(sequenceEdit.toSequence([squat])[0].softLimit, null);
+  assert.equal(sequenceEdit.encodeInterval(squat), "work.60!.Squat");
+  assert.deepEqual(sequenceEdit.decodeInterval("work.60!.Squat"), squat);
+
+  assert.deepEqual(sequenceEdit.update([squat], 0, { mode: "down" })[0], {
+    label: "Squat",
+    type: "work",
+    duration: 60,
+  });
+  assert.equal(sequenceEdit.update([squat], 0, { manual: false })[0].manual, undefined);
+  assert.equal(sequenceEdit.sanitizeInterval({ ...squat, mode: "down" }).manual, undefined);
+});
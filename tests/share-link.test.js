@@ -78,6 +78,123 @@ test("serialize and parse round-trip a config", () => {
   assert.deepEqual(shareLink.parse(shareLink.serialize(cfg)), cfg);
 });
 
+test("an amrap link carries its time cap", () => {
+  const cfg = { type: "amrap", prep: 10, timeCap: 1200 };
+  assert.equal(shareLink.serialize(cfg), "type=amrap&prep=10&timeCap=1200");
+  assert.deepEqual(shareLink.parse("type=amrap&prep=10&timeCap=1200"), cfg);
+  assert.equal(shareLink.parse("type=amrap&timeCap=0").timeCap, 1);
+});
+
+test("select fields travel by option value and unknown options are dropped", () => {
+  const cfg = {
+    type: "ladder",
+    startWork: 20,
+    peakWork: 60,
+    mirror: "no",
+    restMode: "ratio",
+  };
+  const query = shareLink.serialize(cfg);
+  assert.equal(
+    query,
+    "type=ladder&startWork=20&peakWork=60&mirror=no&restMode=ratio",
+  );
+  assert.deepEqual(shareLink.parse(query), cfg);
+  assert.deepEqual(shareLink.parse("type=ladder&mirror=sideways&restMode=ratio"), {
+    type: "ladder",
+    restMode: "ratio",
+  });
+  assert.equal(shareLink.serialize({ type: "ladder", mirror: "maybe" }), "type=ladder");
+});
+
+test("list fields repeat their key and an empty list survives the trip", () => {
+  const cfg = { type: "rotation", rounds: 6, exercises: ["Burpees", "Rest"] };
+  const query = shareLink.serialize(cfg);
+  assert.equal(query, "type=rotation&rounds=6&exercises=Burpees&exercises=Rest");
+  assert.deepEqual(shareLink.parse(query), cfg);
+
+  const empty = { type: "rotation", exercises: [] };
+  assert.equal(shareLink.serialize(empty), "type=rotation&exercises=");
+  assert.deepEqual(shareLink.parse("type=rotation&exercises="), empty);
+  assert.deepEqual(
+    shareLink.parse("type=rotation&exercises=%20Row%20&exercises=&exercises=Run")
+      .exercises,
+    ["Row", "Run"],
+  );
+});
+
+test("slot lists keep blank positions and an empty default list stays out", () => {
+  const cfg = { type: "custom", exercisesPerRound: 3, exerciseNames: ["", "Row"] };
+  const query = shareLink.serialize(cfg);
+  assert.equal(
+    query,
+    "type=custom&exercisesPerRound=3&exerciseNames=&exerciseNames=Row",
+  );
+  assert.deepEqual(shareLink.parse(query), cfg);
+  assert.equal(
+    shareLink.serialize({ type: "custom", rounds: 2, exerciseNames: [] }),
+    "type=custom&rounds=2",
+  );
+});
+
+test("per-slot durations travel with blanks and are clamped on parse", () => {
+  const cfg = { type: "custom", exercisesPerRound: 3, exerciseWorkSlots: [null, 45] };
+  const query = shareLink.serialize(cfg);
+  assert.equal(
+    query,
+    "type=custom&exercisesPerRound=3&exerciseWorkSlots=&exerciseWorkSlots=45",
+  );
+  assert.deepEqual(shareLink.parse(query), cfg);
+  assert.deepEqual(
+    shareLink.parse("type=custom&exerciseWorkSlots=0&exerciseWorkSlots=abc&exerciseWorkSlots=9999")
+      .exerciseWorkSlots,
+    [1, null, 3600],
+  );
+});
+
+test("a sequence link carries one encoded interval per parameter", () => {
+  const cfg = {
+    type: "sequence",
+    intervals: [
+      { label: "Row & Ski", type: "work", duration: 45 },
+      { label: "Run", type: "work", duration: 300, mode: "up" },
+    ],
+  };
+  const query = shareLink.serialize(cfg);
+  assert.equal(
+    query,
+    "type=sequence&intervals=work.45.Row+%26+Ski&intervals=work.300%2B.Run",
+  );
+  assert.deepEqual(shareLink.parse(query), cfg);
+  assert.deepEqual(
+    shareLink.parse("type=sequence&intervals=jog.9.x&intervals=rest.5.Rest")
+      .intervals,
+    [{ label: "Rest", type: "rest", duration: 5 }],
+  );
+});
+
+test("session blocks travel as nested share queries", () => {
+  const cfg = {
+    type: "session",
+    transition: 30,
+    blocks: [
+      { type: "emom", rounds: 10, work: 40 },
+      { type: "countdown", mode: "up", total: 300 },
+    ],
+  };
+  const query = shareLink.serialize(cfg);
+  assert.equal(
+    query,
+    "type=session&transition=30&blocks=type%3Demom%26rounds%3D10%26work%3D40&blocks=type%3Dcountup%26total%3D300",
+  );
+  assert.deepEqual(shareLink.parse(query), cfg);
+  assert.deepEqual(
+    shareLink.parse(
+      "type=session&blocks=type%3Dsession&blocks=type%3Dmarathon&blocks=type%3Dmicro",
+    ).blocks,
+    [{ type: "micro" }],
+  );
+});
+
 test("parse ignores the mode parameter on a countup link", () => {
   // The alias already says "up"; a stale mode=down must not undo it.
   assert.equal(shareLink.parse("type=countup&mode=down&total=60").mode, "up");
@@ -222,3 +339,18 @@ test("buildShareUrl falls back to file:// for a null origin", () => {
     "https://example.com/",
   );
 });
+
+test("a random link carries its seed so it replays the same draw", () => {
+  const query = shareLink.serialize({
+    type: "random",
+    rounds: 8,
+    workMin: 15,
+    workMax: 45,
+    restMin: 10,
+    restMax: 20,
+    seed: 90210,
+  });
+  assert.match(query, /seed=90210/);
+  assert.equal(shareLink.parse(query).seed, 90210);
+  assert.equal(shareLink.parse("type=random&seed=5000000").seed, 999999);
+});
@@ -0,0 +1,90 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const soundProfiles = require("../src/core/sound-profiles.js");
+const presenter = require("../src/core/presenter.js");
+
+const { PROFILES, SOUND_EVENTS } = soundProfiles;
+
+test("every built-in profile has a valid tone for every event", () => {
+  Object.entries(PROFILES).forEach(([id, profile]) => {
+    Object.keys(SOUND_EVENTS).forEach((event) => {
+      assert.deepEqual(
+        soundProfiles.sanitizeTone(profile[event], PROFILES.classic[event]),
+        profile[event],
+        `${id} ${event}`,
+      );
+    });
+  });
+});
+
+test("classic keeps the beeps the timer always played", () => {
+  const { start, complete, countdown } = PROFILES.classic;
+
+  assert.deepEqual(start.freqs, [660, 880]);
+  assert.deepEqual(complete.freqs, [440]);
+  assert.deepEqual(
+    [3, 2, 1].map((left) => presenter.finalCountdownFrequency(left, countdown.freqs)),
+    [520, 520, 880],
+  );
+});
+
+test("sanitizeTone clamps values and falls back per key", () => {
+  const fallback = PROFILES.classic.start;
+
+  assert.deepEqual(
+    soundProfiles.sanitizeTone(
+      { type: "noise", freqs: [50, "9000", "x", 700], duration: 5, volume: -1 },
+      fallback,
+    ),
+    { type: "sine", freqs: [100, 4000, 700], duration: 1.5, volume: 0.01 },
+  );
+  assert.deepEqual(soundProfiles.sanitizeTone({ freqs: [] }, fallback), fallback);
+  assert.equal(soundProfiles.sanitizeTone({ sample: " Go " }, fallback).sample, "Go");
+  assert.equal(
+    "sample" in soundProfiles.sanitizeTone({ sample: "" }, { ...fallback, sample: "Go" }),
+    false,
+    "an empty choice means the synth",
+  );
+  assert.deepEqual(soundProfiles.sanitizeTone(null, fallback), fallback);
+});
+
+test("sanitizeSettings keeps custom profiles and a known active one", () => {
+  const mine = { ...PROFILES.gym, name: "ignored" };
+
+  assert.deepEqual(soundProfiles.sanitizeSettings(null), { active: "classic", custom: {} });
+  assert.deepEqual(
+    soundProfiles.sanitizeSettings({ active: "Garage", custom: { " Garage ": mine } }),
+    { active: "Garage", custom: { Garage: { ...PROFILES.gym, name: "Garage" } } },
+  );
+  const settings = { active: "Garage", custom: { Garage: mine, soft: mine } };
+  assert.deepEqual(Object.keys(soundProfiles.sanitizeSettings(settings).custom), ["Garage"]);
+  assert.equal(soundProfiles.resolve(settings).name, "Garage");
+  assert.equal(soundProfiles.resolve({ active: "whistle" }), PROFILES.whistle);
+  assert.equal(soundProfiles.resolve({ active: "gone" }), PROFILES.classic);
+});
+
+test("profile names are own keys, never inherited object members", () => {
+  ["constructor", "toString", "__proto__"].forEach((active) => {
+    assert.equal(soundProfiles.sanitizeSettings({ active }).active, "classic", active);
+    assert.equal(soundProfiles.resolve({ active }), PROFILES.classic, active);
+  });
+
+  const custom = JSON.parse('{"constructor": {}, "toString": {}, "__proto__": {}}');
+  const settings = soundProfiles.sanitizeSettings({ active: "constructor", custom });
+  assert.deepEqual(Object.keys(settings.custom), ["constructor", "toString", "__proto__"]);
+  assert.equal(Object.getPrototypeOf(settings.custom), Object.prototype);
+  assert.equal(settings.active, "constructor");
+  assert.deepEqual(
+    soundProfiles.resolve({ active: "constructor", custom }).countdown,
+    PROFILES.classic.countdown,
+  );
+});
+
+test("parseFrequencies reads a short list of whole Hz values", () => {
+  assert.deepEqual(soundProfiles.parseFrequencies(" 660, 880 "), [660, 880]);
+  assert.equal(soundProfiles.parseFrequencies(""), null);
+  assert.equal(soundProfiles.parseFrequencies("660 loud"), null);
+  assert.equal(soundProfiles.parseFrequencies("50"), null);
+  assert.equal(soundProfiles.parseFrequencies("1 2 3 4 5 6".replace(/\d/g, "500")), null);
+});
@@ -42,6 +42,17 @@ test("preset store saves, reads and removes by name", () => {
   assert.deepEqual(presets.names(), ["Evening"]);
 });
 
+test("preset store keeps the block list of a session", () => {
+  const presets = storage.createPresetStore(storage.createMemoryStorage());
+  const session = {
+    type: "session",
+    transition: 60,
+    blocks: [{ type: "hiit", rounds: 4 }, { type: "tabata" }],
+  };
+  presets.save("Saturday", session);
+  assert.deepEqual(presets.get("Saturday"), session);
+});
+
 test("preset store ignores a corrupted payload", () => {
   const presets = storage.createPresetStore(
     storage.createMemoryStorage({ [storage.PRESETS_KEY]: "[1,2,3]" }),
@@ -146,3 +157,99 @@ test("pinned store round-trips through storage and caps on write", () => {
     ["a", "b", "c", "d", "e"],
   );
 });
+
+const snapshot = () => ({
+  engine: {
+    sequence: [{ label: "A", type: "work", duration: 20 }],
+    position: 0,
+    remaining: 12,
+    state: "running",
+    elapsedMs: 8000,
+    intervalElapsedMs: 8000,
+  },
+  config: { type: "tabata", rounds: 8 },
+  meta: { totalRounds: 8 },
+  log: [],
+  run: { completedRounds: 0 },
+});
+
+test("cue store keeps the cleaned default cue points", () => {
+  const backing = storage.createMemoryStorage();
+  const cues = storage.createCueStore(backing);
+  assert.deepEqual(cues.get(), {});
+
+  const saved = cues.set({
+    work: [{ halfway: true, sound: "beep" }, { at: -1, sound: "beep" }],
+    rest: [],
+  });
+  assert.deepEqual(saved, { work: [{ halfway: true, sound: "beep" }] });
+  assert.deepEqual(storage.createCueStore(backing).get(), saved);
+
+  backing.setItem(storage.CUES_KEY, "{broken");
+  assert.deepEqual(cues.get(), {});
+});
+
+test("sound store keeps the active profile and the user's own", () => {
+  const backing = storage.createMemoryStorage();
+  const sounds = storage.createSoundStore(backing);
+  assert.deepEqual(sounds.get(), { active: "classic", custom: {} });
+
+  const saved = sounds.set({ active: "Mine", custom: { Mine: { name: "x" } } });
+  assert.equal(saved.active, "Mine");
+  assert.equal(saved.custom.Mine.name, "Mine");
+  assert.deepEqual(storage.createSoundStore(backing).get(), saved);
+
+  backing.setItem(storage.SOUNDS_KEY, "[1]");
+  assert.deepEqual(sounds.get(), { active: "classic", custom: {} });
+});
+
+test("snapshot store saves with a timestamp, reads back and clears", () => {
+  let now = 1000;
+  const backing = storage.createMemoryStorage();
+  const snapshots = storage.createSnapshotStore(backing, { now: () => now });
+  assert.equal(snapshots.get(), null);
+
+  assert.equal(snapshots.save(snapshot()), true);
+  now += 60_000;
+  assert.deepEqual(snapshots.get(), { ...snapshot(), savedAt: 1000 });
+
+  snapshots.clear();
+  assert.equal(backing.getItem(storage.SNAPSHOT_KEY), null);
+  assert.equal(snapshots.get(), null);
+});
+
+test("snapshot store forgets stale and broken snapshots", () => {
+  let now = 0;
+  const backing = storage.createMemoryStorage();
+  const snapshots = storage.createSnapshotStore(backing, { now: () => now });
+
+  snapshots.save(snapshot());
+  now = storage.SNAPSHOT_MAX_AGE_MS + 1;
+  assert.equal(snapshots.get(), null);
+
+  assert.equal(storage.sanitizeSnapshot({ ...snapshot(), savedAt: 0 }, 0).meta.totalRounds, 8);
+  assert.equal(storage.sanitizeSnapshot({ ...snapshot(), config: {}, savedAt: 0 }, 0), null);
+  assert.equal(
+    storage.sanitizeSnapshot({ ...snapshot(), engine: { sequence: [] }, savedAt: 0 }, 0),
+    null,
+  );
+  assert.deepEqual(
+    storage.sanitizeSnapshot({ ...snapshot(), log: "x", run: null, savedAt: 0 }, 0).log,
+    [],
+  );
+});
+
+test("snapshot log keeps only entries the log can be built from", () => {
+  const entries = [
+    { interval: { label: "A", type: "work", duration: 20 }, options: { skipped: true } },
+    { interval: null, options: { result: "Done" } },
+    // a log entry view stored by an older page: markup, not inputs
+    { icon: "<img src=x>", iconClass: "x", label: "A", details: [], classes: [""] },
+    { interval: "A", options: {} },
+    { interval: null, options: null },
+    null,
+  ];
+  const { log } = storage.sanitizeSnapshot({ ...snapshot(), log: entries, savedAt: 0 }, 0);
+
+  assert.deepEqual(log, entries.slice(0, 2));
+});
@@ -30,6 +30,8 @@ test("a full tabata link builds exactly the shared workout", () => {
     rounds: 2,
     work: 30,
     rest: 15,
+    sets: 1,
+    betweenSets: 60,
   });
   assert.equal(meta.totalRounds, 2);
   assert.deepEqual(
@@ -148,6 +150,19 @@ test("every workout type survives a share round-trip", () => {
   });
 });
 
+test("an E2MOM link keeps its period, an old EMOM link gets 60s", () => {
+  const e2mom = loadUrl("?type=emom&prep=0&rounds=2&period=120&work=90");
+  assert.equal(e2mom.cfg.period, 120);
+  assert.deepEqual(
+    e2mom.sequence.map((item) => item.duration),
+    [90, 30, 90, 30],
+  );
+
+  const legacy = loadUrl("?type=emom&prep=0&rounds=1&work=40");
+  assert.equal(legacy.cfg.period, 60);
+  assert.equal(intervals.totalDuration(legacy.sequence), 60);
+});
+
 test("a count-up config survives a share round-trip", () => {
   const original = config.mergeWithDefaults("countdown", {
     mode: "up",
@@ -168,6 +183,41 @@ test("every quick preset survives a share round-trip", () => {
   });
 });
 
+test("the Tabata set presets keep a 10 s break between sets", () => {
+  const build = (key) => {
+    const preset = quickPresets.getQuickPreset(key);
+    const cfg = config.mergeWithDefaults(preset.type, preset);
+    return workoutTypes.build(cfg.type, cfg).sequence;
+  };
+  const timeline = (sequence) =>
+    sequence.map((item) => `${item.type} ${item.duration}`);
+  // a set: 8 × 20 s work with a 10 s rest between rounds
+  const set = [
+    ...Array.from({ length: 7 }, () => ["work 20", "rest 10"]).flat(),
+    "work 20",
+  ];
+
+  const tabata3 = build("tabata3");
+  assert.deepEqual(timeline(tabata3), [
+    "prep 10",
+    ...set,
+    "rest 10",
+    ...set,
+    "rest 10",
+    ...set,
+  ]);
+  assert.equal(tabata3[16].label, "Between Set 1");
+  assert.equal(intervals.totalDuration(tabata3), 720);
+
+  const tabata5 = build("tabata5");
+  assert.deepEqual(timeline(tabata5), [
+    "prep 10",
+    ...[1, 2, 3, 4].flatMap(() => [...set, "rest 10"]),
+    ...set,
+  ]);
+  assert.equal(intervals.totalDuration(tabata5), 1200);
+});
+
 test("a hand-edited link cannot build a nonsensical workout", () => {
   // Negative durations used to reach the sequence as-is.
   const negative = loadUrl("?type=emom&prep=-30&rounds=-2&work=40");
@@ -175,6 +225,7 @@ test("a hand-edited link cannot build a nonsensical workout", () => {
     type: "emom",
     prep: 0,
     rounds: 1,
+    period: 60,
     work: 40,
   });
   assert.deepEqual(negative.sequence, [
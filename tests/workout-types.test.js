@@ -58,6 +58,152 @@ test("emom omits rest when work fills the whole minute", () => {
   assert.ok(sequence.every((item) => item.type === "work"));
 });
 
+test("emom runs every N seconds when a period is set", () => {
+  const { sequence, meta } = workoutTypes.build("emom", {
+    prep: 0,
+    rounds: 2,
+    period: 180,
+    work: 150,
+  });
+
+  assert.deepEqual(meta, { totalRounds: 2 });
+  assert.deepEqual(
+    sequence.map((item) => [item.type, item.duration]),
+    [
+      ["work", 150],
+      ["rest", 30],
+      ["work", 150],
+      ["rest", 30],
+    ],
+  );
+});
+
+test("emom cuts work that does not fit the period instead of drifting", () => {
+  const { sequence } = workoutTypes.build("emom", {
+    prep: 0,
+    rounds: 3,
+    period: 60,
+    work: 90,
+  });
+
+  assert.equal(intervals.totalDuration(sequence), 3 * 60);
+  assert.ok(sequence.every((item) => item.type === "work"));
+});
+
+test("emom validates work against the period and names itself after it", () => {
+  const emom = workoutTypes.getType("emom");
+  assert.deepEqual(emom.validate({ period: 120, work: 90 }), []);
+  assert.deepEqual(emom.validate({ period: 60, work: 90 }), [
+    "Work (01:30) does not fit inside the period (01:00); it is cut to the period.",
+  ]);
+  assert.equal(emom.displayName({ period: 60 }), "EMOM");
+  assert.equal(emom.displayName({ period: 120 }), "E2MOM");
+  assert.equal(emom.displayName({ period: 90 }), "E90S");
+});
+
+test("rotation cycles named exercises and turns a Rest entry into a full rest period", () => {
+  const { sequence, meta } = workoutTypes.build("rotation", {
+    prep: 0,
+    rounds: 4,
+    period: 60,
+    work: 40,
+    exercises: ["Burpees", "rest", "Swings"],
+  });
+
+  assert.equal(meta.totalRounds, 4);
+  assert.deepEqual(
+    sequence.map((item) => [item.label, item.type, item.duration]),
+    [
+      ["R1 Burpees", "work", 40],
+      ["R1 Rest", "rest", 20],
+      ["R2 Rest", "rest", 60],
+      ["R3 Swings", "work", 40],
+      ["R3 Rest", "rest", 20],
+      ["R4 Burpees", "work", 40],
+      ["R4 Rest", "rest", 20],
+    ],
+  );
+  assert.equal(sequence[0].name, "Burpees");
+  assert.equal(intervals.totalDuration(sequence), 4 * 60);
+});
+
+test("rotation without exercises is a plain emom", () => {
+  const config = { prep: 5, rounds: 3, period: 60, work: 30, exercises: [] };
+  assert.deepEqual(
+    workoutTypes.build("rotation", config).sequence,
+    workoutTypes.build("emom", config).sequence,
+  );
+});
+
+test("session chains blocks with transition rests and tags every interval", () => {
+  const { sequence, meta } = workoutTypes.build("session", {
+    transition: 30,
+    blocks: [
+      { type: "tabata", prep: 0, rounds: 1, work: 20, rest: 10 },
+      { type: "emom", prep: 0, rounds: 2, period: 60, work: 60 },
+    ],
+  });
+
+  assert.deepEqual(
+    sequence.map((item) => [item.label, item.duration, item.block]),
+    [
+      ["Round 1 Work", 20, 1],
+      ["Round 1 Rest", 10, 1],
+      ["Transition to EMOM", 30, 2],
+      ["Round 1 Work", 60, 2],
+      ["Round 2 Work", 60, 2],
+    ],
+  );
+  assert.equal(meta.totalBlocks, 2);
+  assert.deepEqual(
+    meta.blocks.map((block) => [block.name, block.meta.totalRounds]),
+    [
+      ["Tabata", 1],
+      ["EMOM", 2],
+    ],
+  );
+});
+
+test("session blocks fill gaps from their type defaults and skip scored types", () => {
+  const { sequence, meta } = workoutTypes.build("session", {
+    transition: 0,
+    blocks: [
+      { type: "amrap" },
+      { type: "session" },
+      { type: "micro", reps: 3 },
+      "junk",
+    ],
+  });
+
+  assert.equal(meta.totalBlocks, 1);
+  assert.deepEqual(
+    sequence.map((item) => item.duration),
+    [10, 5, 5, 5],
+  );
+  assert.equal(workoutTypes.isBlockType("hiit"), true);
+  assert.equal(workoutTypes.isBlockType("deathby"), false);
+});
+
+test("sequence runs its edited intervals as given", () => {
+  const { sequence, meta } = workoutTypes.build("sequence", {
+    intervals: [
+      { label: "Row", type: "work", duration: 45 },
+      { label: "Run", type: "work", duration: 0, mode: "up" },
+      { label: "Stretch", type: "cooldown", duration: 120 },
+    ],
+  });
+
+  assert.deepEqual(meta, { totalRounds: null });
+  assert.deepEqual(sequence, [
+    { label: "Row", type: "work", duration: 45 },
+    { label: "Run", type: "work", duration: 0, mode: "up", softLimit: null },
+    { label: "Stretch", type: "cooldown", duration: 120 },
+  ]);
+  assert.deepEqual(workoutTypes.getType("sequence").validate({ intervals: [] }), [
+    "The sequence is empty; add intervals with Edit Sequence.",
+  ]);
+});
+
 test("tabata alternates work and rest for every round", () => {
   const { sequence, meta } = workoutTypes.build("tabata", {
     prep: 10,
@@ -71,6 +217,56 @@ test("tabata alternates work and rest for every round", () => {
   assert.equal(intervals.totalDuration(sequence), 10 + 8 * 30);
 });
 
+test("tabata sets repeat the rounds with a rest between sets", () => {
+  const { sequence, meta } = workoutTypes.build("tabata", {
+    prep: 10,
+    rounds: 8,
+    work: 20,
+    rest: 10,
+    sets: 3,
+    betweenSets: 60,
+  });
+
+  // the rest between sets takes the place of each set's last round rest
+  assert.equal(meta.totalRounds, 8);
+  assert.equal(sequence.length, 1 + 3 * (8 * 2 - 1) + 2);
+  assert.equal(intervals.totalDuration(sequence), 10 + 3 * (8 * 30 - 10) + 2 * 60);
+  assert.equal(sequence[15].label, "Set 1 Round 8 Work");
+  assert.deepEqual(sequence[16], {
+    label: "Between Set 1",
+    type: "rest",
+    duration: 60,
+    variant: "rest-between",
+    levels: [{ label: "Set", index: 1, total: 3 }],
+  });
+  assert.equal(sequence[17].label, "Set 2 Round 1 Work");
+  assert.equal(sequence.at(-1).label, "Set 3 Round 8 Work", "no rest after the last set");
+});
+
+test("tabata sets without a rest between them keep every round rest", () => {
+  const { sequence } = workoutTypes.build("tabata", {
+    prep: 0,
+    rounds: 2,
+    work: 20,
+    rest: 10,
+    sets: 2,
+    betweenSets: 0,
+  });
+
+  assert.deepEqual(
+    sequence.map((item) => item.label),
+    [
+      "Set 1 Round 1 Work",
+      "Set 1 Round 1 Rest",
+      "Set 1 Round 2 Work",
+      "Set 1 Round 2 Rest",
+      "Set 2 Round 1 Work",
+      "Set 2 Round 1 Rest",
+      "Set 2 Round 2 Work",
+    ],
+  );
+});
+
 test("hiit brackets the rounds with warmup and cooldown", () => {
   const { sequence } = workoutTypes.build("hiit", {
     prep: 5,
@@ -131,6 +327,186 @@ test("custom tags exercise rests and between-round rests", () => {
   );
 });
 
+test("custom labels named exercise slots and keeps Ex N for blank ones", () => {
+  const { sequence } = workoutTypes.build("custom", {
+    prep: 0,
+    rounds: 1,
+    exercisesPerRound: 3,
+    exerciseWork: 30,
+    exerciseRest: 10,
+    betweenRounds: 0,
+    exerciseNames: ["Push-ups", "", "Squats"],
+  });
+
+  assert.deepEqual(
+    sequence.map((item) => [item.label, item.name ?? null]),
+    [
+      ["R1 Push-ups", "Push-ups"],
+      ["R1 Push-ups Rest", null],
+      ["R1 Ex 2 Work", null],
+      ["R1 Ex 2 Rest", null],
+      ["R1 Squats", "Squats"],
+    ],
+  );
+});
+
+test("custom per-exercise durations fall back to the shared work and rest", () => {
+  const { sequence } = workoutTypes.build("custom", {
+    prep: 0,
+    rounds: 1,
+    exercisesPerRound: 3,
+    exerciseWork: 30,
+    exerciseRest: 10,
+    betweenRounds: 0,
+    exerciseWorkSlots: [45, null, 20],
+    exerciseRestSlots: [0, 15],
+  });
+
+  assert.deepEqual(
+    sequence.map((item) => [item.label, item.duration]),
+    [
+      ["R1 Ex 1 Work", 45],
+      ["R1 Ex 2 Work", 30],
+      ["R1 Ex 2 Rest", 15],
+      ["R1 Ex 3 Work", 20],
+    ],
+  );
+});
+
+test("custom manual work waits for Next and keeps the rests timed", () => {
+  const { sequence } = workoutTypes.build("custom", {
+    prep: 0,
+    rounds: 1,
+    exercisesPerRound: 2,
+    exerciseWork: 30,
+    exerciseRest: 15,
+    betweenRounds: 0,
+    workMode: "manual",
+  });
+
+  assert.deepEqual(
+    sequence.map((item) => [item.type, intervals.isManual(item)]),
+    [
+      ["work", true],
+      ["rest", false],
+      ["work", true],
+    ],
+  );
+  assert.equal(sequence[0].duration, 30);
+  assert.equal(sequence[0].softLimit, null);
+  assert.equal(
+    workoutTypes.build("custom", { rounds: 1 }).sequence.some(intervals.isManual),
+    false,
+  );
+});
+
+test("sets alternate manual sets with timed rests", () => {
+  const { sequence, meta } = workoutTypes.build("sets", {
+    prep: 0,
+    sets: 3,
+    setTarget: 45,
+    rest: 120,
+  });
+
+  assert.deepEqual(
+    sequence.map((item) => [item.label, intervals.isManual(item), item.duration]),
+    [
+      ["Set 1", true, 45],
+      ["Rest after Set 1", false, 120],
+      ["Set 2", true, 45],
+      ["Rest after Set 2", false, 120],
+      ["Set 3", true, 45],
+    ],
+  );
+  assert.equal(sequence[0].softLimit, 45);
+  assert.deepEqual(meta, { totalRounds: 3, roundLabel: "Set", nextLabel: "Done ✓" });
+
+  const open = workoutTypes.build("sets", { sets: 2, setTarget: 0, rest: 0 });
+  assert.deepEqual(
+    open.sequence.map((item) => item.label),
+    ["Get Ready", "Set 1", "Set 2"],
+  );
+  assert.equal(open.sequence[1].softLimit, null);
+  assert.equal(intervals.totalDuration(open.sequence), Infinity);
+});
+
+test("breathing repeats its phases as calm rests and skips empty holds", () => {
+  const { sequence, meta } = workoutTypes.build("breathing", {
+    prep: 0,
+    cycles: 2,
+    inhale: 4,
+    holdIn: 7,
+    exhale: 8,
+    holdOut: 0,
+  });
+
+  assert.deepEqual(
+    sequence.map((item) => [item.label, item.variant, item.duration]),
+    [
+      ["Inhale", "inhale", 4],
+      ["Hold", "hold", 7],
+      ["Exhale", "exhale", 8],
+      ["Inhale", "inhale", 4],
+      ["Hold", "hold", 7],
+      ["Exhale", "exhale", 8],
+    ],
+  );
+  assert.ok(sequence.every((item) => item.type === "rest"));
+  assert.deepEqual(sequence[4].levels, [{ label: "Cycle", index: 2, total: 2 }]);
+  assert.deepEqual(meta, { totalRounds: 2, roundLabel: "Cycle" });
+  assert.equal(
+    workoutTypes.displayName({ type: "breathing", inhale: 4, holdIn: 7, exhale: 8, holdOut: 0 }),
+    "Breathing 4-7-8-0",
+  );
+});
+
+test("random draws work and rest inside their ranges from the seed", () => {
+  const config = {
+    prep: 0,
+    rounds: 12,
+    workMin: 10,
+    workMax: 40,
+    restMin: 5,
+    restMax: 30,
+    seed: 4242,
+  };
+  const { sequence, meta } = workoutTypes.build("random", config);
+
+  assert.equal(meta.totalRounds, 12);
+  assert.equal(sequence.length, 12 * 2 - 1, "no rest after the last round");
+  const works = sequence.filter((item) => item.type === "work");
+  const rests = sequence.filter((item) => item.type === "rest");
+  assert.ok(works.every((item) => item.duration >= 10 && item.duration <= 40));
+  assert.ok(rests.every((item) => item.duration >= 5 && item.duration <= 30));
+  assert.ok(new Set(works.map((item) => item.duration)).size > 1, "not all equal");
+
+  assert.deepEqual(workoutTypes.build("random", config).sequence, sequence);
+  assert.notDeepEqual(
+    workoutTypes.build("random", { ...config, seed: 4243 }).sequence,
+    sequence,
+  );
+});
+
+test("random swaps reversed ranges and says so", () => {
+  const config = {
+    prep: 0,
+    rounds: 3,
+    workMin: 30,
+    workMax: 30,
+    restMin: 20,
+    restMax: 10,
+    seed: 7,
+  };
+  const { sequence } = workoutTypes.build("random", config);
+  const rests = sequence.filter((item) => item.type === "rest");
+
+  assert.ok(sequence.every((item) => item.type === "rest" || item.duration === 30));
+  assert.ok(rests.every((item) => item.duration >= 10 && item.duration <= 20));
+  assert.deepEqual(workoutTypes.getType("random").validate(config), [
+    "Shortest rest is longer than longest rest; the two are swapped.",
+  ]);
+});
+
 test("custom accepts legacy work/rest values", () => {
   const { sequence } = workoutTypes.build("custom", {
     prep: 0,
@@ -214,3 +590,189 @@ test("countdown defaults to counting down from 10 minutes", () => {
   assert.equal(meta.mode, "down");
   assert.equal(sequence[0].duration, 600);
 });
+
+test("amrap runs one work block for the time cap and is scored in rounds", () => {
+  const { sequence, meta } = workoutTypes.build("amrap", {
+    prep: 10,
+    timeCap: 900,
+  });
+
+  assert.deepEqual(sequence, [
+    { label: "Get Ready", type: "prep", duration: 10 },
+    { label: "AMRAP", type: "work", duration: 900 },
+  ]);
+  assert.deepEqual(meta, { totalRounds: null, scoring: "rounds" });
+});
+
+test("amrap cleans up a broken time cap from an old preset", () => {
+  const cap = (config) => workoutTypes.build("amrap", { prep: 0, ...config }).sequence;
+
+  assert.deepEqual(cap({ timeCap: 600.7 }), [
+    { label: "AMRAP", type: "work", duration: 600 },
+  ]);
+  assert.equal(cap({ timeCap: -30 })[0].duration, 720);
+  assert.equal(cap({ timeCap: "x" })[0].duration, 720);
+  assert.equal(cap({ prep: -5, timeCap: 300 }).length, 1);
+});
+
+test("fortime counts up to a hard cap with the soft limit as target", () => {
+  const { sequence, meta } = workoutTypes.build("fortime", {
+    prep: 0,
+    softLimit: 600,
+    timeCap: 900,
+  });
+
+  assert.deepEqual(sequence, [
+    {
+      label: "For Time",
+      type: "work",
+      duration: 900,
+      mode: "up",
+      softLimit: 600,
+      cap: 900,
+    },
+  ]);
+  assert.deepEqual(meta, {
+    totalRounds: 1,
+    scoring: "time",
+    softLimit: 600,
+    timeCap: 900,
+  });
+});
+
+test("fortime keeps the soft limit inside the cap and allows none", () => {
+  const over = workoutTypes.build("fortime", { softLimit: 1200, timeCap: 900 });
+  assert.equal(over.meta.softLimit, 900);
+
+  const none = workoutTypes.build("fortime", { prep: 0, softLimit: 0, timeCap: 300 });
+  assert.equal(none.sequence[0].softLimit, null);
+  assert.equal(intervals.totalDuration(none.sequence), 300);
+});
+
+test("ladderDurations climbs, reaches the peak and mirrors back", () => {
+  const { ladderDurations } = workoutTypes;
+  assert.deepEqual(
+    ladderDurations({ start: 20, peak: 50, step: 10, mirror: true }),
+    [20, 30, 40, 50, 40, 30, 20],
+  );
+  assert.deepEqual(
+    ladderDurations({ start: 20, peak: 50, step: 20, mirror: false }),
+    [20, 40, 50],
+  );
+  assert.deepEqual(
+    ladderDurations({ start: 60, peak: 30, step: 15, mirror: false }),
+    [60, 45, 30],
+  );
+  assert.deepEqual(
+    ladderDurations({ start: 30, peak: 30, step: 10, mirror: true }),
+    [30],
+  );
+});
+
+test("ladder changes work per round with a fixed rest between rounds", () => {
+  const { sequence, meta } = workoutTypes.build("ladder", {
+    prep: 0,
+    startWork: 20,
+    peakWork: 40,
+    workStep: 10,
+    mirror: "yes",
+    restMode: "fixed",
+    rest: 15,
+  });
+
+  assert.equal(meta.totalRounds, 5);
+  assert.deepEqual(
+    sequence.map((item) => [item.label, item.duration]),
+    [
+      ["Round 1 Work", 20],
+      ["Round 1 Rest", 15],
+      ["Round 2 Work", 30],
+      ["Round 2 Rest", 15],
+      ["Round 3 Work", 40],
+      ["Round 3 Rest", 15],
+      ["Round 4 Work", 30],
+      ["Round 4 Rest", 15],
+      ["Round 5 Work", 20],
+    ],
+  );
+});
+
+test("ladder can scale rest with the work it follows", () => {
+  const { sequence } = workoutTypes.build("ladder", {
+    prep: 0,
+    startWork: 20,
+    peakWork: 45,
+    workStep: 25,
+    mirror: "no",
+    restMode: "ratio",
+    restPercent: 50,
+  });
+
+  assert.deepEqual(
+    sequence.map((item) => [item.type, item.duration]),
+    [
+      ["work", 20],
+      ["rest", 10],
+      ["work", 45],
+    ],
+  );
+});
+
+test("deathby is a full-minute emom with a rising rep target", () => {
+  const { sequence, meta } = workoutTypes.build("deathby", {
+    prep: 10,
+    startReps: 2,
+    repStep: 3,
+    rounds: 3,
+  });
+
+  assert.deepEqual(meta, {
+    totalRounds: 3,
+    roundLabel: "Minute",
+    scoring: "failed",
+  });
+  assert.deepEqual(sequence, [
+    { label: "Get Ready", type: "prep", duration: 10 },
+    { label: "Minute 1", type: "work", duration: 60, round: 1, reps: 2 },
+    { label: "Minute 2", type: "work", duration: 60, round: 2, reps: 5 },
+    { label: "Minute 3", type: "work", duration: 60, round: 3, reps: 8 },
+  ]);
+});
+
+test("fight rounds carry a warning cue before the bell", () => {
+  const { sequence, meta } = workoutTypes.build("fight", {
+    prep: 0,
+    rounds: 2,
+    roundLength: 120,
+    rest: 60,
+    warning: 10,
+  });
+  const cues = [{ left: 10, sound: "clap", flash: true }];
+
+  assert.deepEqual(meta, { totalRounds: 2 });
+  assert.deepEqual(
+    sequence.map(({ label, type, duration }) => [label, type, duration]),
+    [
+      ["Round 1", "work", 120],
+      ["Round 1 Rest", "rest", 60],
+      ["Round 2", "work", 120],
+    ],
+  );
+  assert.deepEqual(sequence[0].cues, cues);
+  assert.deepEqual(sequence[2].cues, cues);
+  assert.equal(sequence[1].cues, undefined);
+});
+
+test("fight skips the warning when it is off or longer than a round", () => {
+  [0, 30].forEach((warning) => {
+    const { sequence } = workoutTypes.build("fight", {
+      prep: 10,
+      rounds: 1,
+      roundLength: 30,
+      rest: 60,
+      warning,
+    });
+    assert.equal(sequence[0].label, "Get Ready");
+    assert.equal(sequence[1].cues, undefined, `warning ${warning}`);
+  });
+});